@@ -1,12 +1,28 @@
-import { Plugin, TFile, Notice } from 'obsidian';
+import { Plugin, TFile, Notice, debounce, Debouncer } from 'obsidian';
 import { HangulSearchSettings, DEFAULT_SETTINGS, HangulSearchSettingTab } from './src/settings';
 import { HangulIndex } from './src/hangulIndex';
 import { HangulSwitcher } from './src/hangulSwitcher';
 import { HangulLinkSuggest } from './src/hangulLinkSuggest';
+import { INDEX_FILE_NAME, IndexStore, pluginDataFile } from './src/indexStore';
+import { createObsidianVault, VaultFile } from './src/searchVault';
+import { createSearchApi, KoreanOmnisearchApi } from './src/api';
+import { addCurrentFileSearchCommand, addResetHistoryCommand } from './src/commands';
+import { HISTORY_FILE_NAME, OpenHistory } from './src/openHistory';
 
 export default class HangulSearchPlugin extends Plugin {
     settings!: HangulSearchSettings;
     index!: HangulIndex;
+    indexStore!: IndexStore;
+    history!: OpenHistory;
+    /** Versioned API for other plugins - see src/api.ts */
+    api!: KoreanOmnisearchApi;
+    private indexReady = false;
+    private resolveReady!: () => void;
+
+    /** Save the index a few seconds after the last change */
+    private requestIndexSave: Debouncer<[], void> = debounce(() => {
+        this.saveIndex();
+    }, 10000, true);
 
     async onload() {
         console.log('🔥 Korean Omnisearch: Starting...');
@@ -17,31 +33,37 @@ export default class HangulSearchPlugin extends Plugin {
             console.log('✅ Settings loaded');
 
             // 2) Initialize search index
-            this.index = new HangulIndex(this);
+            this.index = new HangulIndex(createObsidianVault(this.app), this);
+            this.indexStore = new IndexStore(pluginDataFile(this, INDEX_FILE_NAME));
+            this.history = new OpenHistory(pluginDataFile(this, HISTORY_FILE_NAME), this);
+            await this.history.load();
+            this.api = createSearchApi(this.index, new Promise<void>(resolve => this.resolveReady = resolve));
             console.log('✅ Search index initialized');
 
             // 3) Add core commands immediately
             this.addCoreCommands();
             console.log('✅ Commands registered');
 
-            // 4) Register vault events for real-time updates
-            this.registerVaultEvents();
-            console.log('✅ Vault events registered');
-
-            // 5) Register link autocompletion
+            // 4) Register link autocompletion
             this.registerEditorSuggest(new HangulLinkSuggest(this.app, this.index));
             console.log('✅ Korean link suggestions enabled');
 
-            // 6) Add settings tab
+            // 5) Add settings tab
             this.addSettingTab(new HangulSearchSettingTab(this.app, this));
             console.log('✅ Settings tab added');
 
-            // 7) Show immediate availability message
+            // 6) Show immediate availability message
             new Notice('✅ Korean Omnisearch ready! Building index in background...', 3000);
             console.log('🎉 Korean Omnisearch ready! Starting background indexing...');
 
-            // 8) Build index progressively in background (non-blocking)
-            this.buildIndexProgressively();
+            // 7) Once the vault has loaded: listen for changes and build the index in the background.
+            // Registered earlier, 'create' would fire for every existing file and the restore would
+            // reconcile against a partial file list.
+            this.app.workspace.onLayoutReady(() => {
+                this.registerVaultEvents();
+                console.log('✅ Vault events registered');
+                this.buildIndexProgressively();
+            });
 
         } catch (error) {
             console.error('❌ Korean Omnisearch failed to load:', error);
@@ -76,6 +98,12 @@ export default class HangulSearchPlugin extends Plugin {
             }
         });
 
+        // In-file search command
+        addCurrentFileSearchCommand(this);
+
+        // Forget learned ranking
+        addResetHistoryCommand(this);
+
         // Index rebuild command
         this.addCommand({
             id: 'hangul-rebuild-index',
@@ -84,6 +112,7 @@ export default class HangulSearchPlugin extends Plugin {
                 const notice = new Notice('🔄 Rebuilding Korean Omnisearch index...', 0);
                 try {
                     await this.index.build();
+                    await this.saveIndex();
                     notice.hide();
                     new Notice(`✅ Korean Omnisearch index rebuilt! ${this.index.getIndexedCount()} files indexed`, 3000);
                 } catch (error) {
@@ -105,6 +134,10 @@ export default class HangulSearchPlugin extends Plugin {
 • ㅎㄱ → finds 한글, 항공, 학교
 • 한ㄱ → finds 한국, 한글  
 • ㅎㄱㄹ교 → finds 한글학교
+• gksrmf → finds 한글 (typed in English mode)
+• 한글 -초안 "exact phrase" tag:#태그 folder:일기 modified:<7d
+• "Search in Current File (Korean)" → same patterns inside the open note
+• Notes you open often (and for the same query) rank higher
 
 ⌨️ Keyboard Shortcuts:
 • Cmd/Ctrl+Shift+O: Open search
@@ -124,10 +157,15 @@ export default class HangulSearchPlugin extends Plugin {
         try {
             console.log('🔍 Building Korean Omnisearch index (ultra-fast mode)...');
             
-            const files = this.app.vault.getMarkdownFiles();
+            const files = this.index.getIndexableFiles();
             const totalFiles = files.length;
             console.log(`📊 Found ${totalFiles} files to index`);
             
+            // Reuse the saved index and only re-index what changed since last session
+            if (await this.restoreIndex(files)) {
+                return;
+            }
+            
             // Clear existing index
             this.index.clear();
             
@@ -168,10 +206,48 @@ export default class HangulSearchPlugin extends Plugin {
             console.log(`✅ Korean Omnisearch index completed: ${totalIndexed} files (ultra-fast mode)`);
             new Notice(`🎉 Korean Omnisearch ready! ${totalIndexed} files indexed instantly`, 3000);
             
+            // Index note content afterwards - titles are searchable in the meantime
+            if (this.settings.indexContent) {
+                console.log('📄 Indexing note content in background...');
+                const contentIndexed = await this.index.batchIndexContent(files);
+                console.log(`✅ Korean Omnisearch content index completed: ${contentIndexed} files`);
+            }
+            
+            this.indexReady = true;
+            await this.saveIndex();
+            
         } catch (error) {
             console.error('❌ Failed to build search index:', error);
             new Notice('❌ Failed to build search index - check console for details', 5000);
+        } finally {
+            // Searches work on whatever was indexed, so waiting callers are released even after a failure
+            this.resolveReady();
+        }
+    }
+
+    /** Load the saved index and reconcile it with the vault. Returns false if a full build is needed. */
+    private async restoreIndex(files: VaultFile[]): Promise<boolean> {
+        const saved = await this.indexStore.load();
+        if (!saved || !this.index.restore(saved)) {
+            return false;
+        }
+        
+        const { added, updated, removed } = await this.index.reconcile(files);
+        this.indexReady = true;
+        
+        if (added + updated + removed > 0) {
+            await this.saveIndex();
         }
+        
+        console.log(`✅ Korean Omnisearch index loaded from disk: ${this.index.getIndexedCount()} files (${added} added, ${updated} updated, ${removed} removed)`);
+        new Notice(`🎉 Korean Omnisearch ready! ${this.index.getIndexedCount()} files loaded`, 3000);
+        return true;
+    }
+
+    /** Write the current index to the plugin data folder */
+    async saveIndex() {
+        if (!this.indexReady) return;
+        await this.indexStore.save(this.index.serialize());
     }
 
     private registerVaultEvents() {
@@ -179,8 +255,9 @@ export default class HangulSearchPlugin extends Plugin {
 
         this.registerEvent(
             this.app.vault.on('create', (file) => {
-                if (file instanceof TFile && file.extension === 'md') {
+                if (file instanceof TFile && this.index.isIndexable(file)) {
                     this.index.addFile(file);
+                    this.requestIndexSave();
                 }
             })
         );
@@ -189,6 +266,8 @@ export default class HangulSearchPlugin extends Plugin {
             this.app.vault.on('delete', (file) => {
                 if (file instanceof TFile) {
                     this.index.removeFile(file);
+                    this.history.removePath(file.path);
+                    this.requestIndexSave();
                 }
             })
         );
@@ -197,20 +276,36 @@ export default class HangulSearchPlugin extends Plugin {
             this.app.vault.on('rename', (file, oldPath) => {
                 if (file instanceof TFile) {
                     this.index.updateOnRename(file, oldPath);
+                    this.history.renamePath(oldPath, file.path);
+                    this.requestIndexSave();
+                }
+            })
+        );
+
+        // Aliases, headings and tags are only known once Obsidian has parsed the note
+        this.registerEvent(
+            this.app.metadataCache.on('changed', (file) => {
+                if (file.extension === 'md' && this.index.updateMetadataTargets(file)) {
+                    this.requestIndexSave();
                 }
             })
         );
 
         this.registerEvent(
             this.app.vault.on('modify', (file) => {
-                if (file instanceof TFile && file.extension === 'md') {
+                if (file instanceof TFile && this.index.isIndexable(file)) {
                     this.index.updateFile(file);
+                    this.requestIndexSave();
                 }
             })
         );
     }
 
     onunload() {
+        // Flush pending changes so the next startup can skip them
+        this.requestIndexSave.cancel();
+        this.saveIndex();
+        this.history?.flush();
         console.log('👋 Korean Omnisearch: Unloaded');
     }
 
@@ -222,11 +317,12 @@ export default class HangulSearchPlugin extends Plugin {
         await this.saveData(this.settings);
     }
 
-    // Public API for other plugins
+    /** @deprecated Use `api` - the index itself is internal and may change */
     public getSearchIndex() {
         return this.index;
     }
 
+    /** @deprecated Use `api.search`, which returns typed copies */
     public search(query: string) {
         return this.index.search(query);
     }
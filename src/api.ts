@@ -0,0 +1,93 @@
+import type {
+    ContentSnippet,
+    HangulIndex,
+    IndexEntry,
+    IndexUpdate,
+    MatchLocation,
+    MatchRange,
+    SearchFilters,
+    SearchStrategy,
+    TargetKind
+} from './hangulIndex';
+import { highlightText, parseQuery } from './queryParser';
+
+export type { ContentSnippet, IndexUpdate, MatchLocation, MatchRange, SearchFilters, SearchStrategy, TargetKind };
+
+/**
+ * Version of the public API. Bumped only for breaking changes; additions keep the number.
+ * Other plugins should check it before use:
+ *
+ *     const api = app.plugins.getPlugin('korean-omnisearch')?.api;
+ *     if (api?.version === 1) { await api.isReady; const results = await api.search('ㅎㄱ'); }
+ */
+export const API_VERSION = 1;
+
+export interface SearchOptions {
+    limit?: number;                  // Default 50
+    strategies?: SearchStrategy[];   // Default: all strategies
+    filters?: SearchFilters;         // Combined with any operators in the query
+    includeContent?: boolean;        // Attach a body snippet to each result (reads the files; default false)
+}
+
+/** A search result - a note, or one of its aliases, headings or tags */
+export interface SearchResult {
+    readonly path: string;
+    readonly display: string;                  // File name, alias, heading or tag that matched
+    readonly kind: TargetKind;
+    readonly score: number;
+    readonly matchedIn: MatchLocation;
+    readonly strategy?: SearchStrategy;        // Unset for filter-only results
+    readonly titleMatches: readonly MatchRange[]; // Matched characters in `display`
+    readonly interpretedAs?: string;           // Query after 두벌식 keyboard conversion, when that matched
+    readonly snippet?: ContentSnippet | null;  // Only with `includeContent`
+}
+
+export interface KoreanOmnisearchApi {
+    readonly version: number;
+    /** Resolves once the index has been restored or built (titles and content) */
+    readonly isReady: Promise<void>;
+    search(query: string, options?: SearchOptions): Promise<SearchResult[]>;
+    /** Call `callback` after files or content change in the index. Returns an unsubscribe function. */
+    onIndexUpdated(callback: (update: IndexUpdate) => void): () => void;
+}
+
+function toSearchResult(entry: IndexEntry): SearchResult {
+    return {
+        path: entry.path,
+        display: entry.display,
+        kind: entry.kind || 'file',
+        score: entry.score,
+        matchedIn: entry.matchedIn || 'title',
+        strategy: entry.strategy,
+        titleMatches: (entry.titleMatches || []).map(range => [range[0], range[1]] as MatchRange),
+        interpretedAs: entry.interpretedAs
+    };
+}
+
+/** Public API over an index - results are copies, so callers cannot change the index */
+export function createSearchApi(index: HangulIndex, isReady: Promise<void>): KoreanOmnisearchApi {
+    return Object.freeze({
+        version: API_VERSION,
+        isReady,
+
+        async search(query: string, options: SearchOptions = {}): Promise<SearchResult[]> {
+            const entries = index.search(query, options.limit ?? 50, {
+                strategies: options.strategies,
+                filters: options.filters
+            });
+            const results = entries.map(toSearchResult);
+            if (!options.includeContent) return results;
+
+            // Snippets highlight the search text, not operators like tag:
+            const highlight = highlightText(parseQuery(query)) || query;
+            return Promise.all(results.map(async (result, i) => ({
+                ...result,
+                snippet: await index.getContentSnippet(result.path, entries[i].interpretedAs || highlight)
+            })));
+        },
+
+        onIndexUpdated(callback: (update: IndexUpdate) => void): () => void {
+            return index.onUpdated(callback);
+        }
+    });
+}
@@ -1,6 +1,7 @@
-import { Notice } from 'obsidian';
+import { MarkdownView, Notice } from 'obsidian';
 import type HangulSearchPlugin from '../main';
 import { HangulSwitcher } from './hangulSwitcher';
+import { HangulFileSearchModal } from './hangulFileSearch';
 
 export function addCommands(plugin: HangulSearchPlugin) {
     // Main Korean search command (replaces Omnisearch)
@@ -42,6 +43,7 @@ export function addCommands(plugin: HangulSearchPlugin) {
             const notice = new Notice('🔄 Rebuilding Korean search index...', 0);
             try {
                 await plugin.index.build();
+                await plugin.saveIndex();
                 notice.hide();
                 new Notice(`✅ Korean search index rebuilt! (${plugin.index.getIndexedCount()} files)`, 3000);
             } catch (error) {
@@ -57,6 +59,7 @@ export function addCommands(plugin: HangulSearchPlugin) {
         name: 'Clear Korean Search Index',
         callback: () => {
             plugin.index.clear();
+            plugin.indexStore.remove();
             new Notice('🗑️ Korean search index cleared', 2000);
         }
     });
@@ -77,21 +80,8 @@ export function addCommands(plugin: HangulSearchPlugin) {
     });
 
     // Quick actions for search
-    plugin.addCommand({
-        id: 'hangul-search-current-file',
-        name: 'Search in Current File (Korean)',
-        checkCallback: (checking: boolean) => {
-            const activeFile = plugin.app.workspace.getActiveFile();
-            if (activeFile) {
-                if (!checking) {
-                    // TODO: Implement in-file search
-                    new Notice('🔍 In-file Korean search coming soon!', 3000);
-                }
-                return true;
-            }
-            return false;
-        }
-    });
+    addCurrentFileSearchCommand(plugin);
+    addResetHistoryCommand(plugin);
 
     // Settings shortcut
     plugin.addCommand({
@@ -117,6 +107,10 @@ Search Features:
 • 부분 음절: "한ㄱ" → finds "한국", "한글"  
 • 혼합 search: "ㅎㄱㄹ교" → finds "한글학교"
 • Content search: searches file content too
+• Wrong IME mode: "gksrmf" → finds "한글"
+• Operators: -제외, "exact phrase", path:, folder:, tag:#태그, ext:, modified:<7d
+• In-file search: "Search in Current File (Korean)" with replace
+• Learned ranking: results you pick are boosted next time ("Reset Korean Search History" to forget)
 
 Hotkeys:
 • Ctrl/Cmd + Shift + O: Open Korean Search
@@ -130,4 +124,34 @@ Tips:
             new Notice(helpMessage, 10000);
         }
     });
+}
+
+/** Ctrl+F style Korean search inside the active note */
+export function addCurrentFileSearchCommand(plugin: HangulSearchPlugin) {
+    plugin.addCommand({
+        id: 'hangul-search-current-file',
+        name: 'Search in Current File (Korean)',
+        checkCallback: (checking: boolean) => {
+            const view = plugin.app.workspace.getActiveViewOfType(MarkdownView);
+            if (view && view.file) {
+                if (!checking) {
+                    new HangulFileSearchModal(plugin.app, plugin.index, view.editor, view.file).open();
+                }
+                return true;
+            }
+            return false;
+        }
+    });
+}
+
+/** Forget which results were opened for which queries */
+export function addResetHistoryCommand(plugin: HangulSearchPlugin) {
+    plugin.addCommand({
+        id: 'hangul-reset-history',
+        name: 'Reset Korean Search History',
+        callback: async () => {
+            await plugin.history.reset();
+            new Notice('🗑️ Korean search history reset', 2000);
+        }
+    });
 } 
\ No newline at end of file
@@ -0,0 +1,256 @@
+import { App, Editor, EditorChange, Modal, TFile } from 'obsidian';
+import { HangulIndex, MatchRange } from './hangulIndex';
+import { renderHighlighted } from './highlight';
+
+/** One occurrence of the query inside the editor */
+interface FileMatch {
+    line: number;
+    range: MatchRange;
+}
+
+/** Stop rendering result lines past this many - the count still covers every match */
+const MAX_RENDERED_LINES = 200;
+
+/** Ctrl+F style search inside the active note with 초성, 부분 음절 and 혼합 matching */
+export class HangulFileSearchModal extends Modal {
+    private matches: FileMatch[] = [];
+    private current = -1;
+
+    private queryInputEl!: HTMLInputElement;
+    private replaceInputEl!: HTMLInputElement;
+    private countEl!: HTMLElement;
+    private resultsEl!: HTMLElement;
+
+    constructor(app: App, private index: HangulIndex, private editor: Editor, private file: TFile) {
+        super(app);
+    }
+
+    onOpen(): void {
+        const { contentEl } = this;
+        this.modalEl.addClass('hangul-file-search-modal');
+        this.titleEl.setText(`🔍 Search in ${this.file.basename}`);
+
+        // Query row
+        const queryRow = contentEl.createDiv({ cls: 'hangul-file-search-row' });
+        this.queryInputEl = queryRow.createEl('input', {
+            type: 'text',
+            cls: 'hangul-file-search-input',
+            attr: { placeholder: 'Try ㅎㄱ, 한ㄱ, or ㅎㄱㅎ교...' }
+        });
+        this.countEl = queryRow.createSpan({ cls: 'hangul-file-search-count' });
+        const prevButton = queryRow.createEl('button', { text: '↑', attr: { 'aria-label': 'Previous match' } });
+        const nextButton = queryRow.createEl('button', { text: '↓', attr: { 'aria-label': 'Next match' } });
+
+        // Replace row
+        const replaceRow = contentEl.createDiv({ cls: 'hangul-file-search-row' });
+        this.replaceInputEl = replaceRow.createEl('input', {
+            type: 'text',
+            cls: 'hangul-file-search-input',
+            attr: { placeholder: 'Replace with...' }
+        });
+        const replaceButton = replaceRow.createEl('button', { text: 'Replace' });
+        const replaceAllButton = replaceRow.createEl('button', { text: 'Replace all' });
+
+        this.resultsEl = contentEl.createDiv({ cls: 'hangul-file-search-results' });
+
+        this.queryInputEl.addEventListener('input', () => this.refresh());
+        prevButton.addEventListener('click', () => this.move(-1));
+        nextButton.addEventListener('click', () => this.move(1));
+        replaceButton.addEventListener('click', () => this.replaceCurrent());
+        replaceAllButton.addEventListener('click', () => this.replaceAll());
+
+        // Keyboard navigation
+        this.scope.register([], 'Enter', (evt: KeyboardEvent) => {
+            if (evt.isComposing) return;
+            evt.preventDefault();
+            if (document.activeElement === this.replaceInputEl) {
+                this.replaceCurrent();
+            } else {
+                this.move(1);
+            }
+        });
+        this.scope.register(['Shift'], 'Enter', (evt: KeyboardEvent) => {
+            evt.preventDefault();
+            this.move(-1);
+        });
+        this.scope.register([], 'ArrowDown', (evt: KeyboardEvent) => {
+            evt.preventDefault();
+            this.move(1);
+        });
+        this.scope.register([], 'ArrowUp', (evt: KeyboardEvent) => {
+            evt.preventDefault();
+            this.move(-1);
+        });
+        this.scope.register(['Mod'], 'Enter', (evt: KeyboardEvent) => {
+            evt.preventDefault();
+            this.close();
+        });
+
+        this.setInstructions();
+
+        // Start from the current selection, like Ctrl+F
+        const selection = this.editor.getSelection();
+        if (selection && !selection.includes('\n')) {
+            this.queryInputEl.value = selection;
+        }
+        this.refresh();
+        this.queryInputEl.focus();
+        this.queryInputEl.select();
+    }
+
+    onClose(): void {
+        this.contentEl.empty();
+        this.editor.focus();
+    }
+
+    /** Recompute every match for the current query */
+    private refresh(keepPosition: boolean = false): void {
+        const query = this.queryInputEl.value;
+        const previous = this.current;
+        this.matches = [];
+
+        if (query.trim()) {
+            const lineCount = this.editor.lineCount();
+            for (let line = 0; line < lineCount; line++) {
+                this.index.findMatchRanges(this.editor.getLine(line), query)
+                    .forEach(range => this.matches.push({ line, range }));
+            }
+        }
+
+        if (this.matches.length === 0) {
+            this.current = -1;
+        } else if (keepPosition) {
+            this.current = Math.min(Math.max(previous, 0), this.matches.length - 1);
+        } else {
+            this.current = this.firstMatchAfterCursor();
+        }
+
+        this.render();
+        if (this.current >= 0) {
+            this.reveal(this.matches[this.current]);
+        }
+    }
+
+    /** Index of the first match at or after the editor cursor */
+    private firstMatchAfterCursor(): number {
+        const cursor = this.editor.getCursor('from');
+        const index = this.matches.findIndex(match =>
+            match.line > cursor.line || (match.line === cursor.line && match.range[0] >= cursor.ch));
+        return index === -1 ? 0 : index;
+    }
+
+    /** Jump to the next (1) or previous (-1) match, wrapping around */
+    private move(direction: number): void {
+        if (this.matches.length === 0) return;
+
+        this.current = (this.current + direction + this.matches.length) % this.matches.length;
+        this.render();
+        this.reveal(this.matches[this.current]);
+    }
+
+    /** Select a match in the editor and scroll it into view */
+    private reveal(match: FileMatch): void {
+        const from = { line: match.line, ch: match.range[0] };
+        const to = { line: match.line, ch: match.range[1] };
+        this.editor.setSelection(from, to);
+        this.editor.scrollIntoView({ from, to }, true);
+    }
+
+    private replaceCurrent(): void {
+        if (this.current < 0) return;
+
+        const { line, range } = this.matches[this.current];
+        this.editor.replaceRange(
+            this.replaceInputEl.value,
+            { line, ch: range[0] },
+            { line, ch: range[1] }
+        );
+        this.refresh(true);
+    }
+
+    private replaceAll(): void {
+        if (this.matches.length === 0) return;
+
+        // One transaction, so a single undo restores every match
+        const replacement = this.replaceInputEl.value;
+        const count = this.matches.length;
+        const changes: EditorChange[] = this.matches.map(({ line, range }) => ({
+            from: { line, ch: range[0] },
+            to: { line, ch: range[1] },
+            text: replacement
+        }));
+        this.editor.transaction({ changes });
+        this.refresh();
+        this.countEl.setText(`Replaced ${count}`);
+    }
+
+    private render(): void {
+        this.resultsEl.empty();
+
+        if (!this.queryInputEl.value.trim()) {
+            this.countEl.setText('');
+            return;
+        }
+        if (this.matches.length === 0) {
+            this.countEl.setText('No matches');
+            this.resultsEl.createDiv({ cls: 'hangul-search-status', text: 'No matches in this note' });
+            return;
+        }
+        this.countEl.setText(`${this.current + 1} / ${this.matches.length}`);
+
+        // Group matches by line so each line is listed once
+        const currentMatch = this.matches[this.current];
+        let renderedLines = 0;
+        let i = 0;
+        while (i < this.matches.length && renderedLines < MAX_RENDERED_LINES) {
+            const line = this.matches[i].line;
+            const lineMatches: FileMatch[] = [];
+            while (i < this.matches.length && this.matches[i].line === line) {
+                lineMatches.push(this.matches[i++]);
+            }
+            this.renderLine(line, lineMatches, currentMatch);
+            renderedLines++;
+        }
+
+        if (i < this.matches.length) {
+            this.resultsEl.createDiv({
+                cls: 'hangul-search-status',
+                text: `${this.matches.length - i} more matches not shown`
+            });
+        }
+    }
+
+    private renderLine(line: number, lineMatches: FileMatch[], currentMatch: FileMatch): void {
+        const text = this.editor.getLine(line);
+        const lineEl = this.resultsEl.createDiv({ cls: 'hangul-file-search-line' });
+        if (lineMatches.includes(currentMatch)) {
+            lineEl.addClass('is-selected');
+            lineEl.scrollIntoView({ block: 'nearest' });
+        }
+
+        lineEl.createSpan({ cls: 'hangul-file-search-line-number', text: `${line + 1}` });
+        const textEl = lineEl.createSpan({ cls: 'hangul-file-search-line-text' });
+        renderHighlighted(textEl, text, lineMatches.map(match => match.range));
+
+        lineEl.addEventListener('click', () => {
+            this.current = this.matches.indexOf(lineMatches[0]);
+            this.render();
+            this.reveal(lineMatches[0]);
+        });
+    }
+
+    private setInstructions(): void {
+        const instructionsEl = this.contentEl.createDiv({ cls: 'prompt-instructions' });
+        [
+            { command: '↵ / ↓', purpose: 'next match' },
+            { command: 'Shift ↵ / ↑', purpose: 'previous match' },
+            { command: '↵ in replace', purpose: 'replace match' },
+            { command: 'Ctrl ↵', purpose: 'close at match' },
+            { command: 'esc', purpose: 'to dismiss' }
+        ].forEach(({ command, purpose }) => {
+            const instructionEl = instructionsEl.createDiv({ cls: 'prompt-instruction' });
+            instructionEl.createSpan({ cls: 'prompt-instruction-command', text: command });
+            instructionEl.createSpan({ text: purpose });
+        });
+    }
+}
@@ -1,9 +1,72 @@
-import { TFile } from 'obsidian';
 import Fuse from 'fuse.js';
 import Hangul from 'hangul-js';
-import type HangulSearchPlugin from '../main';
+import type { AllCanvasNodeData, CanvasData } from 'obsidian/canvas';
+import { hangulToLatin, isHangulKeystrokes, isLatinKeystrokes, latinToHangul } from './keyboardLayout';
+import { FilterValue, ParsedQuery, hasFilters, highlightText, isSimpleQuery, parseQuery } from './queryParser';
+import type { FileMetadata, SearchVault, VaultFile } from './searchVault';
+
+/** Where a search result matched */
+export type MatchLocation = 'title' | 'content';
+
+/**
+ * What a search target stands for - the note itself, or one of its aliases, headings or tags.
+ * Blocks are only returned by `searchBlocks`: their text is body content, found by content search.
+ */
+export type TargetKind = 'file' | 'alias' | 'heading' | 'tag' | 'block';
+
+/** How a result was found */
+export type SearchStrategy =
+    | 'direct'             // Fuzzy match on the title as typed
+    | 'decomposed'         // Fuzzy match on the title's jamo
+    | 'initial-consonant'  // 초성: ㅎㄱ → 한글
+    | 'partial-syllable'   // 부분 음절 / 혼합: 한ㄱ, ㅎㄱㄹ교
+    | 'content'            // Note body
+    | 'keyboard-layout';   // Typed in the wrong IME mode: gksrmf → 한글
+
+/** Structured form of the path:, folder:, tag:, ext: and modified: operators */
+export interface SearchFilters {
+    paths?: string[];
+    folders?: string[];
+    tags?: string[];          // With or without the leading '#'
+    extensions?: string[];    // With or without the leading '.'
+    modifiedWithin?: number;  // Milliseconds
+    kinds?: TargetKind[];     // Only these target kinds
+}
+
+/** Narrows a search beyond the query text */
+export interface SearchScope {
+    strategies?: SearchStrategy[]; // All strategies when omitted
+    filters?: SearchFilters;
+}
+
+/** Settings the index reads - a subset of the plugin settings */
+export interface IndexSettings {
+    indexContent: boolean;
+    fuzzyThreshold: number;
+    indexedExtensions: string[];
+}
+
+/** Source of learned ranking boosts (see OpenHistory) */
+export interface RankingHistory {
+    getBoost(query: string, path: string): number;
+    record(query: string, path: string): void;
+}
+
+/** What the index reads from its owner - the plugin in Obsidian, a plain object in tests */
+export interface IndexHost {
+    settings?: Partial<IndexSettings>;
+    history?: RankingHistory;
+}
+
+/** Index size after a change, passed to update listeners */
+export interface IndexUpdate {
+    indexedCount: number;
+    contentIndexedCount: number;
+}
 
 export interface IndexEntry {
+    kind?: TargetKind; // Defaults to 'file'; other kinds carry the alias/heading/tag/block text in `display`
+    blockId?: string;  // For blocks, the id without '^'
     display: string;   // File name for display
     jamo: string;      // Decomposed Korean characters  
     path: string;      // File path
@@ -13,14 +76,76 @@ export interface IndexEntry {
     size: number;      // File size
     mtime: number;     // Modified time
     contentLoaded: boolean; // Track if content is loaded
+    matchedIn?: MatchLocation; // Whether the query matched the title or the body
+    titleMatches?: MatchRange[]; // Matched syllables in `display`, for highlighting
+    interpretedAs?: string; // Query after 두벌식 keyboard conversion, when that is what matched
+    strategy?: SearchStrategy; // Strategy that found the result (unset for filter-only results)
+}
+
+/** A piece of a note's body around a match */
+export interface ContentSnippet {
+    text: string;          // Snippet text (may start/end with "…")
+    matches: MatchRange[]; // Matches within `text`
+    line: number;          // Line of the note the snippet comes from
+}
+
+/** Characters of context kept on each side of a snippet match */
+const SNIPPET_RADIUS = 40;
+
+/** Stop looking for a snippet after this many characters of a note */
+const MAX_SNIPPET_SCAN = 30000;
+
+/** Snippets kept per (path, query) - results re-render on every keystroke */
+const MAX_CACHED_SNIPPETS = 300;
+
+/** Bump whenever the serialized layout or the tokenizer changes - older snapshots are discarded */
+export const INDEX_FORMAT_VERSION = 2;
+
+/** On-disk snapshot of the index. Map values are positions in `entries` / `contentWords`. */
+export interface SerializedIndex {
+    version: number;
+    savedAt: number;
+    entries: { kind?: TargetKind; display: string; jamo: string; path: string; size: number; mtime: number }[];
+    initialConsonantIndex: [string, number[]][];
+    jamoIndex: [string, number[]][];
+    ngramIndex: [string, number[]][];
+    contentWords: [string, string, string][]; // [word, jamo, 초성]
+    contentTokens: [string, number[]][];      // [path, word ids]
 }
 
+/** A [start, end) range of characters in the original text */
+export type MatchRange = [number, number];
+
+/** Result of reconciling a restored index with the vault */
+export interface ReconcileResult {
+    added: number;
+    updated: number;
+    removed: number;
+}
+
+/** Extensions whose text is indexed as content - everything else is searchable by file name only */
+const TEXT_EXTENSIONS = ['md', 'canvas'];
+
+/** Characters that separate words when tokenizing note content */
+const WORD_SEPARATOR = /[\s!-\/:-@\[-`{-~\u00b7\u2018-\u201f\u2022\u2026\u3000-\u303f\uff01-\uff0f\uff1a-\uff20]+/;
+
+/** Shortest query (without spaces) that is retried in the other IME mode */
+const MIN_CONVERSION_KEYSTROKES = 2;
+
+/** Body matches of a converted query rank below every real body match (those start at 1.1) */
+const CONVERTED_CONTENT_SCORE = 0.5;
+
+/** Skip very long tokens (URLs, base64 blobs) */
+const MAX_WORD_LENGTH = 40;
+
 export class HangulIndex {
     private entries: IndexEntry[] = [];
     private fuse!: Fuse<IndexEntry>;
     private indexMap: Map<string, IndexEntry> = new Map();
+    private targetMap: Map<string, IndexEntry[]> = new Map(); // path → alias/heading/tag targets
     private defaultThreshold = 0.6; // More lenient for Korean search
     private contentCache: Map<string, {content: string, contentJamo: string}> = new Map();
+    private snippetCache: Map<string, { mtime: number; snippet: ContentSnippet | null }> = new Map();
     
     // 🚀 NEW: Pre-computed search indexes for O(1) lookups
     private initialConsonantIndex: Map<string, IndexEntry[]> = new Map();
@@ -28,16 +153,89 @@ export class HangulIndex {
     private ngramIndex: Map<string, IndexEntry[]> = new Map();
     private decompositionCache: Map<string, string> = new Map();
 
-    constructor(private plugin: HangulSearchPlugin) {}
+    // 📄 Full-text content index: word → paths containing it
+    private contentSyllableIndex: Map<string, Set<string>> = new Map();
+    // Keys that narrow a query down to candidate words: character → words, 초성 pair → Korean words
+    private contentCharIndex: Map<string, Set<string>> = new Map();
+    private contentInitialIndex: Map<string, Set<string>> = new Map();
+    private contentTokens: Map<string, string[]> = new Map(); // path → unique words, for incremental removal
+
+    private updateListeners: Set<(update: IndexUpdate) => void> = new Set();
+
+    constructor(private vault: SearchVault, private host: IndexHost = {}) {}
+
+    /** Call `listener` whenever files or content are added, changed or removed. Returns an unsubscribe function. */
+    onUpdated(listener: (update: IndexUpdate) => void): () => void {
+        this.updateListeners.add(listener);
+        return () => {
+            this.updateListeners.delete(listener);
+        };
+    }
+
+    private notifyUpdated(): void {
+        const update: IndexUpdate = {
+            indexedCount: this.getIndexedCount(),
+            contentIndexedCount: this.getContentIndexedCount()
+        };
+        this.updateListeners.forEach(listener => {
+            try {
+                listener(update);
+            } catch (error) {
+                console.error('❌ Index update listener failed:', error);
+            }
+        });
+    }
+
+    /** Markdown notes plus the extensions configured in settings */
+    isIndexable(file: VaultFile): boolean {
+        if (!file || !file.extension) return false;
+        
+        const extension = file.extension.toLowerCase();
+        return extension === 'md' || (this.host.settings?.indexedExtensions || []).includes(extension);
+    }
+
+    /** Every vault file the index should cover */
+    getIndexableFiles(): VaultFile[] {
+        return this.vault.getFiles().filter(file => this.isIndexable(file));
+    }
+
+    /** Searchable text of a file: note text, canvas text cards, or null for attachments */
+    private async readSearchableText(file: VaultFile): Promise<string | null> {
+        if (!this.hasSearchableText(file)) return null;
+        
+        const content = await this.vault.read(file);
+        return file.extension.toLowerCase() === 'canvas' ? this.extractCanvasText(content) : content;
+    }
+
+    private hasSearchableText(file: VaultFile): boolean {
+        return TEXT_EXTENSIONS.includes(file.extension.toLowerCase());
+    }
+
+    /** Text of a canvas' text cards, one card per line block */
+    private extractCanvasText(json: string): string {
+        try {
+            const canvas = JSON.parse(json) as CanvasData;
+            return (canvas.nodes || [])
+                .filter((node: AllCanvasNodeData) => node.type === 'text' && typeof node.text === 'string')
+                .map((node: AllCanvasNodeData) => node.text as string)
+                .join('\n\n');
+        } catch (error) {
+            console.warn('Failed to parse canvas:', error);
+            return '';
+        }
+    }
 
     /** Fast initial build - only file names and metadata */
     async build() {
         console.log('🔍 Building Korean Omnisearch index (fast mode)...');
-        const files = this.plugin.app.vault.getMarkdownFiles();
+        const files = this.getIndexableFiles();
         
         this.entries = [];
         this.indexMap.clear();
+        this.targetMap.clear();
         this.contentCache.clear();
+        this.snippetCache.clear();
+        this.clearContentIndex();
         
         let indexed = 0;
         for (const file of files) {
@@ -50,23 +248,23 @@ export class HangulIndex {
         }
         
         this.rebuildFuse();
+        await this.batchIndexContent(files);
         console.log(`✅ Korean Omnisearch index completed: ${indexed} files (fast mode)`);
     }
 
     /** Add only file metadata - no content reading */
-    async addFileMetadata(file: TFile): Promise<void> {
-        if (!file || file.extension !== 'md') return;
+    async addFileMetadata(file: VaultFile): Promise<void> {
+        if (!this.isIndexable(file)) return;
         
         try {
             const entry = this.createMetadataEntry(file);
             
-            // Remove existing entry if it exists
-            if (this.indexMap.has(file.path)) {
-                this.removeFile(file, true);
-            }
+            // Remove existing entry if it exists (keep its content tokens)
+            this.removeEntry(file.path);
             
             this.entries.push(entry);
             this.indexMap.set(file.path, entry);
+            this.addMetadataTargets(file);
             
         } catch (error) {
             console.warn(`Failed to add metadata for ${file.path}:`, error);
@@ -74,7 +272,7 @@ export class HangulIndex {
     }
 
     /** Create entry with only metadata - no content reading */
-    private createMetadataEntry(file: TFile): IndexEntry {
+    private createMetadataEntry(file: VaultFile): IndexEntry {
         const display = file.basename;
         const path = file.path;
         
@@ -99,6 +297,142 @@ export class HangulIndex {
         };
     }
 
+    /** Index a note's aliases, headings and tags from the metadata cache as their own targets */
+    private addMetadataTargets(file: VaultFile): void {
+        const metadata = this.vault.getMetadata(file);
+        if (!metadata) return;
+        
+        const targets = this.createTargetEntries(file, metadata);
+        if (targets.length > 0) {
+            this.targetMap.set(file.path, targets);
+            this.entries.push(...targets);
+        }
+    }
+
+    private createTargetEntries(file: VaultFile, metadata: FileMetadata): IndexEntry[] {
+        const targets: IndexEntry[] = [];
+        const seen = new Set<string>();
+        const add = (kind: TargetKind, display: string) => {
+            const key = `${kind}:${display}`;
+            if (!display || seen.has(key)) return;
+            seen.add(key);
+            
+            targets.push({
+                kind,
+                display,
+                jamo: this.decomposeKoreanText(display),
+                path: file.path,
+                content: '',
+                contentJamo: '',
+                score: 0,
+                size: file.stat.size,
+                mtime: file.stat.mtime,
+                contentLoaded: false
+            });
+        };
+        
+        metadata.aliases.forEach(alias => add('alias', alias.trim()));
+        metadata.headings.forEach(heading => add('heading', heading.trim()));
+        metadata.tags.forEach(tag => add('tag', tag));
+        
+        return targets;
+    }
+
+    /**
+     * Refresh a note's aliases, headings and tags after Obsidian re-parsed it.
+     * Most edits leave them unchanged, so the search indexes are only rebuilt when they differ.
+     * Returns true if the targets changed.
+     */
+    updateMetadataTargets(file: VaultFile): boolean {
+        if (!this.indexMap.has(file.path)) return false;
+        
+        const metadata = this.vault.getMetadata(file);
+        const targets = metadata ? this.createTargetEntries(file, metadata) : [];
+        const current = this.targetMap.get(file.path) || [];
+        const describe = (entries: IndexEntry[]) => entries.map(entry => `${entry.kind}:${entry.display}`).join('\n');
+        if (describe(targets) === describe(current)) return false;
+        
+        this.removeTargets(file.path);
+        this.addMetadataTargets(file);
+        this.rebuildFuse();
+        return true;
+    }
+
+    private removeTargets(path: string): void {
+        const targets = this.targetMap.get(path);
+        if (!targets) return;
+        
+        const stale = new Set(targets);
+        this.entries = this.entries.filter(entry => !stale.has(entry));
+        this.targetMap.delete(path);
+    }
+
+    /** Headings of one note matching `query` with 초성/부분 음절 rules - all headings for an empty query */
+    searchHeadings(path: string, query: string): IndexEntry[] {
+        const headings = (this.targetMap.get(path) || []).filter(target => target.kind === 'heading');
+        if (!query.trim()) {
+            return headings.map(heading => ({ ...heading, titleMatches: [] }));
+        }
+        
+        const results: IndexEntry[] = [];
+        headings.forEach((heading, order) => {
+            const titleMatches = this.findQueryRanges(heading.display, query);
+            const partial = titleMatches.length > 0 || this.matchesPartialSyllable(heading.display, query);
+            if (!partial) return;
+            
+            // Earlier, tighter matches first; document order breaks ties
+            const score = (titleMatches.length > 0 ? 2 : 1) - (titleMatches[0]?.[0] || 0) * 0.01 - order * 0.0001;
+            results.push({ ...heading, score, matchedIn: 'title', titleMatches });
+        });
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Blocks (`^block-id`) of one note whose text or id matches `query` - all blocks for an empty query.
+     * Block text is read from the note when asked, so blocks are not part of the global index.
+     */
+    async searchBlocks(path: string, query: string): Promise<IndexEntry[]> {
+        const file = this.vault.getFile(path);
+        const metadata = file ? this.vault.getMetadata(file) : null;
+        if (!file || !metadata || metadata.blocks.length === 0) return [];
+        
+        let lines: string[];
+        try {
+            lines = (await this.vault.read(file)).split('\n');
+        } catch (error) {
+            console.warn(`Failed to read blocks of ${path}:`, error);
+            return [];
+        }
+        
+        const needle = query.trim().toLowerCase();
+        const results: IndexEntry[] = [];
+        metadata.blocks.forEach((block, order) => {
+            const display = lines.slice(block.startLine, block.endLine + 1).map(line => line.trim()).join(' ')
+                .replace(new RegExp(`\\s*\\^${block.id}\\s*$`), '')
+                .trim();
+            const titleMatches = needle ? this.findQueryRanges(display, query) : [];
+            const matchesText = titleMatches.length > 0 || (!!needle && this.matchesPartialSyllable(display, query));
+            if (needle && !matchesText && !block.id.toLowerCase().includes(needle)) return;
+            
+            // Text matches before id matches, then document order
+            const score = (titleMatches.length > 0 ? 2 : matchesText ? 1 : 0) - order * 0.0001;
+            results.push({
+                kind: 'block',
+                blockId: block.id,
+                display,
+                jamo: '',
+                path,
+                score,
+                size: file.stat.size,
+                mtime: file.stat.mtime,
+                contentLoaded: false,
+                matchedIn: 'title',
+                titleMatches
+            });
+        });
+        return results.sort((a, b) => b.score - a.score);
+    }
+
     /** Load content on-demand for better search results */
     private async loadFileContent(entry: IndexEntry): Promise<void> {
         if (entry.contentLoaded) return;
@@ -114,10 +448,10 @@ export class HangulIndex {
             }
             
             // Load content from vault
-            const file = this.plugin.app.vault.getAbstractFileByPath(entry.path);
-            if (file instanceof TFile) {
-                const content = await this.plugin.app.vault.cachedRead(file);
-                // Only take first 500 characters for performance
+            const file = this.vault.getFile(entry.path);
+            const content = file ? await this.readSearchableText(file) : null;
+            if (content !== null) {
+                // Preview only - full-text search goes through the content index
                 const preview = content.substring(0, 500);
                 const contentJamo = this.decomposeKoreanText(preview);
                 
@@ -135,7 +469,7 @@ export class HangulIndex {
     }
 
     /** Add a single file to the index */
-    async addFile(file: TFile, skipFuseRebuild: boolean = false): Promise<void> {
+    async addFile(file: VaultFile, skipFuseRebuild: boolean = false): Promise<void> {
         // Use fast metadata-only approach
         await this.addFileMetadata(file);
         
@@ -143,47 +477,342 @@ export class HangulIndex {
         if (!skipFuseRebuild) {
             this.rebuildFuse();
         }
+        
+        await this.indexFileContent(file);
+        if (!skipFuseRebuild) {
+            this.notifyUpdated();
+        }
     }
 
     /** Remove a file from the index */
-    removeFile(file: TFile, skipFuseRebuild: boolean = false): void {
-        const existingEntry = this.indexMap.get(file.path);
-        if (!existingEntry) return;
+    removeFile(file: VaultFile, skipFuseRebuild: boolean = false): void {
+        this.removeFileContent(file.path);
+        
+        // Only rebuild Fuse if not in batch mode
+        if (this.removeEntry(file.path) && !skipFuseRebuild) {
+            this.rebuildFuse();
+        }
+    }
+
+    /** Remove the metadata entry for a path, returns true if one existed */
+    private removeEntry(path: string): boolean {
+        const existingEntry = this.indexMap.get(path);
+        if (!existingEntry) return false;
+        
+        this.indexMap.delete(path);
+        this.contentCache.delete(path);
+        this.removeTargets(path);
         
         const index = this.entries.indexOf(existingEntry);
         if (index > -1) {
             this.entries.splice(index, 1);
-            this.indexMap.delete(file.path);
+        }
+        return true;
+    }
+
+    /** Update a file in the index - the search indexes are rebuilt once, by addFile */
+    async updateFile(file: VaultFile): Promise<void> {
+        if (!this.isIndexable(file)) return;
+        
+        this.removeFile(file, true);
+        await this.addFile(file);
+    }
+
+    /* ---------- Full-text content index ---------- */
+
+    /** Read a file and (re)index every word in its body */
+    async indexFileContent(file: VaultFile): Promise<void> {
+        if (!this.isIndexable(file)) return;
+        if (this.host.settings?.indexContent === false) return;
+        
+        try {
+            const content = await this.readSearchableText(file);
+            if (content !== null) {
+                this.setFileContent(file.path, content);
+            }
+        } catch (error) {
+            console.warn(`Failed to index content for ${file.path}:`, error);
+        }
+    }
+
+    /** Index content for many files, yielding between batches to keep the UI responsive */
+    async batchIndexContent(files: VaultFile[], batchSize: number = 50): Promise<number> {
+        if (this.host.settings?.indexContent === false) return 0;
+        
+        let indexed = 0;
+        for (let i = 0; i < files.length; i += batchSize) {
+            const batch = files.slice(i, i + batchSize);
+            await Promise.all(batch.map(file => this.indexFileContent(file)));
+            indexed += batch.length;
             
-            // Only rebuild Fuse if not in batch mode
-            if (!skipFuseRebuild) {
-                this.rebuildFuse();
+            if (i + batchSize < files.length) {
+                await new Promise(resolve => setTimeout(resolve, 1));
             }
         }
+        
+        console.log(`✅ Content index built: ${this.contentTokens.size} files, ${this.contentSyllableIndex.size} unique words`);
+        this.notifyUpdated();
+        return indexed;
     }
 
-    /** Update a file in the index */
-    async updateFile(file: TFile): Promise<void> {
-        if (!file || file.extension !== 'md') return;
+    /** Replace the indexed words for a path with the words in `content` */
+    private setFileContent(path: string, content: string): void {
+        this.removeFileContent(path);
         
-        this.removeFile(file);
-        await this.addFile(file);
+        const words = this.tokenize(content);
+        this.contentTokens.set(path, words);
+        
+        words.forEach(word => this.addContentWord(word, path));
+    }
+
+    /** Drop every word indexed for a path */
+    private removeFileContent(path: string): void {
+        const words = this.contentTokens.get(path);
+        if (!words) return;
+        
+        words.forEach(word => {
+            this.removeFromContentIndex(this.contentSyllableIndex, word, path);
+            if (!this.contentSyllableIndex.has(word)) {
+                // Last note using the word - drop it from the lookup keys too
+                this.forEachWordKey(word, this.extractInitialConsonants(word), (index, key) =>
+                    this.removeFromContentIndex(index, key, word));
+            }
+        });
+        this.contentTokens.delete(path);
+    }
+
+    /** Index one word of a note, adding lookup keys the first time the word is seen */
+    private addContentWord(word: string, path: string, initials: string = this.extractInitialConsonants(word)): void {
+        if (!this.contentSyllableIndex.has(word)) {
+            this.forEachWordKey(word, initials, (index, key) => this.addToContentIndex(index, key, word));
+        }
+        this.addToContentIndex(this.contentSyllableIndex, word, path);
+    }
+
+    /** Lookup keys of a word: each character, and each pair of 초성 for words with Korean in them */
+    private forEachWordKey(word: string, initials: string, callback: (index: Map<string, Set<string>>, key: string) => void): void {
+        new Set(word).forEach(char => callback(this.contentCharIndex, char));
+        if (/[가-힣ㄱ-ㅎㅏ-ㅣ]/.test(word)) {
+            for (let i = 0; i + 1 < initials.length; i++) {
+                callback(this.contentInitialIndex, initials.substring(i, i + 2));
+            }
+        }
+    }
+
+    /** Split text into unique, lower-cased words */
+    private tokenize(text: string): string[] {
+        const words = new Set<string>();
+        text.toLowerCase().split(WORD_SEPARATOR).forEach(word => {
+            if (word && word.length <= MAX_WORD_LENGTH) {
+                words.add(word);
+            }
+        });
+        return Array.from(words);
+    }
+
+    private addToContentIndex(index: Map<string, Set<string>>, key: string, path: string): void {
+        if (!key) return;
+        
+        let paths = index.get(key);
+        if (!paths) {
+            paths = new Set();
+            index.set(key, paths);
+        }
+        paths.add(path);
+    }
+
+    private removeFromContentIndex(index: Map<string, Set<string>>, key: string, path: string): void {
+        const paths = index.get(key);
+        if (!paths) return;
+        
+        paths.delete(path);
+        if (paths.size === 0) {
+            index.delete(key);
+        }
+    }
+
+    private clearContentIndex(): void {
+        this.contentSyllableIndex.clear();
+        this.contentCharIndex.clear();
+        this.contentInitialIndex.clear();
+        this.contentTokens.clear();
+    }
+
+    /* ---------- Persistence ---------- */
+
+    /** Snapshot the index (entries, title maps and content index) for saving to disk */
+    serialize(): SerializedIndex {
+        const entryIds = new Map<IndexEntry, number>();
+        this.entries.forEach((entry, i) => entryIds.set(entry, i));
+        
+        const serializeMap = (index: Map<string, IndexEntry[]>): [string, number[]][] => {
+            const serialized: [string, number[]][] = [];
+            for (const [key, entries] of index) {
+                serialized.push([key, entries.map(entry => entryIds.get(entry)!).filter(id => id !== undefined)]);
+            }
+            return serialized;
+        };
+        
+        // Each distinct word is stored once with its jamo and 초성 forms
+        const wordIds = new Map<string, number>();
+        const contentWords: [string, string, string][] = [];
+        const contentTokens: [string, number[]][] = [];
+        for (const [path, words] of this.contentTokens) {
+            contentTokens.push([path, words.map(word => {
+                let id = wordIds.get(word);
+                if (id === undefined) {
+                    id = contentWords.length;
+                    wordIds.set(word, id);
+                    contentWords.push([word, this.decomposeKoreanText(word), this.extractInitialConsonants(word)]);
+                }
+                return id;
+            })]);
+        }
+        
+        return {
+            version: INDEX_FORMAT_VERSION,
+            savedAt: Date.now(),
+            entries: this.entries.map(({ kind, display, jamo, path, size, mtime }) =>
+                kind && kind !== 'file' ? { kind, display, jamo, path, size, mtime } : { display, jamo, path, size, mtime }),
+            initialConsonantIndex: serializeMap(this.initialConsonantIndex),
+            jamoIndex: serializeMap(this.jamoIndex),
+            ngramIndex: serializeMap(this.ngramIndex),
+            contentWords,
+            contentTokens
+        };
+    }
+
+    /** Replace the index with a saved snapshot. Returns false if the snapshot is unusable. */
+    restore(data: SerializedIndex): boolean {
+        if (!data || data.version !== INDEX_FORMAT_VERSION) {
+            console.log(`⚠️ Ignoring saved index (format ${data?.version}, expected ${INDEX_FORMAT_VERSION})`);
+            return false;
+        }
+        
+        try {
+            this.clear();
+            
+            this.entries = data.entries.map(({ kind, display, jamo, path, size, mtime }) => ({
+                kind,
+                display,
+                jamo,
+                path,
+                content: '',
+                contentJamo: '',
+                score: 0,
+                size,
+                mtime,
+                contentLoaded: false
+            }));
+            this.entries.forEach(entry => {
+                if (entry.kind && entry.kind !== 'file') {
+                    const targets = this.targetMap.get(entry.path) || [];
+                    targets.push(entry);
+                    this.targetMap.set(entry.path, targets);
+                } else {
+                    this.indexMap.set(entry.path, entry);
+                }
+                this.decompositionCache.set(entry.display, entry.jamo);
+            });
+            
+            const restoreMap = (index: Map<string, IndexEntry[]>, serialized: [string, number[]][]) => {
+                serialized.forEach(([key, ids]) => {
+                    index.set(key, ids.map(id => this.entries[id]).filter(Boolean));
+                });
+            };
+            restoreMap(this.initialConsonantIndex, data.initialConsonantIndex);
+            restoreMap(this.jamoIndex, data.jamoIndex);
+            restoreMap(this.ngramIndex, data.ngramIndex);
+            
+            // Saved word forms avoid re-decomposing the whole vault vocabulary
+            data.contentWords.forEach(([word, jamo]) => this.decompositionCache.set(word, jamo));
+            data.contentTokens.forEach(([path, ids]) => {
+                const words = ids.map(id => data.contentWords[id]).filter(Boolean);
+                this.contentTokens.set(path, words.map(([word]) => word));
+                words.forEach(([word, , initials]) => this.addContentWord(word, path, initials));
+            });
+            
+            this.rebuildFuse(false);
+            console.log(`✅ Restored saved index: ${this.entries.length} files, ${this.contentTokens.size} with content`);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to restore saved index:', error);
+            this.clear();
+            return false;
+        }
+    }
+
+    /** Bring a restored index in line with the vault - only changed, new and deleted files are touched */
+    async reconcile(files: VaultFile[]): Promise<ReconcileResult> {
+        const result: ReconcileResult = { added: 0, updated: 0, removed: 0 };
+        const indexContent = this.host.settings?.indexContent !== false;
+        const vaultPaths = new Set<string>();
+        const changed: VaultFile[] = [];
+        const missingContent: VaultFile[] = [];
+        
+        for (const file of files) {
+            vaultPaths.add(file.path);
+            const entry = this.indexMap.get(file.path);
+            
+            if (!entry) {
+                result.added++;
+                changed.push(file);
+            } else if (entry.mtime !== file.stat.mtime || entry.size !== file.stat.size) {
+                result.updated++;
+                changed.push(file);
+            } else if (indexContent && this.hasSearchableText(file) && !this.contentTokens.has(file.path)) {
+                // Unchanged, but saved while content indexing was off
+                missingContent.push(file);
+            }
+        }
+        
+        // Deleted while the plugin was not running
+        const stalePaths = Array.from(this.indexMap.keys()).filter(path => !vaultPaths.has(path));
+        stalePaths.forEach(path => this.removeFile({ path } as VaultFile, true));
+        result.removed = stalePaths.length;
+        
+        if (!indexContent) {
+            this.clearContentIndex();
+        }
+        
+        if (changed.length > 0) {
+            changed.forEach(file => this.removeFileContent(file.path));
+            await this.batchAddFiles(changed);
+            await this.batchIndexContent(changed);
+        } else if (stalePaths.length > 0) {
+            this.rebuildFuse();
+        }
+        
+        if (missingContent.length > 0) {
+            await this.batchIndexContent(missingContent);
+        }
+        
+        console.log(`✅ Index reconciled: ${result.added} added, ${result.updated} updated, ${result.removed} removed`);
+        return result;
     }
 
     /** Handle file rename */
-    updateOnRename(file: TFile, oldPath: string): void {
+    updateOnRename(file: VaultFile, oldPath: string): void {
         const existingEntry = this.indexMap.get(oldPath);
         if (existingEntry) {
             // Remove old entry
-            this.removeFile({ path: oldPath } as TFile);
+            this.removeFile({ path: oldPath } as VaultFile);
             // Add new entry
             this.addFile(file);
         }
     }
 
-    /** Search with Korean support */
-    search(query: string, limit: number = 50): IndexEntry[] {
-        if (!query.trim()) return [];
+    /** Search with Korean support, optionally limited to some strategies or narrowed by filters */
+    search(query: string, limit: number = 50, scope: SearchScope = {}): IndexEntry[] {
+        // Plain text goes straight to the Korean strategies; operators and filters are combined per term
+        const parsed = parseQuery(query);
+        if (scope.filters) {
+            this.applyFilters(parsed, scope.filters);
+        }
+        if (!query.trim() && !hasFilters(parsed)) return [];
+        
+        const strategies = scope.strategies ? new Set(scope.strategies) : null;
+        const kinds = scope.filters?.kinds;
         
         console.log(`🔍 Searching: "${query}"`);
         console.log(`📊 Index has ${this.entries.length} entries`);
@@ -194,19 +823,174 @@ export class HangulIndex {
             console.log(`📝 Sample entry: "${sampleEntry.display}" → jamo: "${sampleEntry.jamo}"`);
         }
         
-        // Handle different types of Korean search patterns
-        const searchResults = this.performKoreanSearch(query);
+        const searchResults = (isSimpleQuery(parsed)
+            ? this.performKoreanSearch(query.trim(), strategies)
+            : this.performQuerySearch(parsed, strategies))
+            .filter(entry => !kinds || kinds.includes(entry.kind || 'file'));
         console.log(`📊 Found ${searchResults.length} results`);
         
         // For top results, load content if needed for better scoring
         const topResults = searchResults
             .sort((a, b) => b.score - a.score)
             .slice(0, Math.min(limit * 2, 100)); // Get more for refinement
+        
+        // Learned ranking: notes opened before (especially for this query) move up within the candidates
+        const history = this.host.history;
+        if (history) {
+            topResults.forEach(entry => {
+                entry.score += history.getBoost(query, entry.path);
+            });
+            topResults.sort((a, b) => b.score - a.score);
+        }
             
         // Load content for top results asynchronously (don't wait)
         this.loadContentForTopResults(topResults.slice(0, 20));
         
-        return topResults.slice(0, limit);
+        const results = topResults.slice(0, limit);
+        const highlight = highlightText(parsed) || query;
+        results.forEach(entry => {
+            // Exact syllable ranges beat the fuzzy ranges Fuse reported
+            const exact = this.findQueryRanges(entry.display, entry.interpretedAs || highlight);
+            if (exact.length > 0 || !entry.titleMatches) {
+                entry.titleMatches = exact;
+            }
+        });
+        
+        return results;
+    }
+
+    /** Add structured filters to a parsed query, normalized the way the query parser does */
+    private applyFilters(parsed: ParsedQuery, filters: SearchFilters): void {
+        const negated = false;
+        (filters.paths || []).forEach(path => parsed.paths.push({ value: path.toLowerCase(), negated }));
+        (filters.folders || []).forEach(folder => parsed.folders.push({ value: folder.toLowerCase().replace(/^\/+|\/+$/g, ''), negated }));
+        (filters.tags || []).forEach(tag => parsed.tags.push({ value: tag.toLowerCase().replace(/^#/, ''), negated }));
+        (filters.extensions || []).forEach(ext => parsed.extensions.push({ value: ext.toLowerCase().replace(/^\./, ''), negated }));
+        if (filters.modifiedWithin !== undefined) {
+            parsed.modified.push({ operator: '<', ms: filters.modifiedWithin, label: `<${filters.modifiedWithin}ms`, negated });
+        }
+    }
+
+    /** Remember which result was chosen for a query, for history-based ranking */
+    recordSelection(query: string, entry: IndexEntry): void {
+        if (!query.trim()) return;
+        this.host.history?.record(query, entry.path);
+    }
+
+    /** Ranges of `query` in `text` - the whole query first, otherwise each word separately */
+    findQueryRanges(text: string, query: string): MatchRange[] {
+        const whole = this.findMatchRanges(text, query);
+        if (whole.length > 0) return whole;
+        
+        const words = query.trim().split(/\s+/);
+        if (words.length < 2) return [];
+        
+        const ranges: MatchRange[] = [];
+        words.forEach(word => ranges.push(...this.findMatchRanges(text, word)));
+        return this.mergeRanges(ranges);
+    }
+
+    /** Find the first place in a note's body that matches `query`, cached until the note changes */
+    async getContentSnippet(path: string, query: string): Promise<ContentSnippet | null> {
+        if (!query.trim()) return null;
+        
+        const file = this.vault.getFile(path);
+        if (!file) return null;
+        
+        const key = `${path}\n${query}`;
+        const cached = this.snippetCache.get(key);
+        if (cached && cached.mtime === file.stat.mtime) return cached.snippet;
+        
+        const snippet = await this.findContentSnippet(file, query);
+        if (this.snippetCache.size >= MAX_CACHED_SNIPPETS) {
+            // Maps iterate in insertion order - drop the oldest
+            this.snippetCache.delete(this.snippetCache.keys().next().value);
+        }
+        this.snippetCache.set(key, { mtime: file.stat.mtime, snippet });
+        return snippet;
+    }
+
+    private async findContentSnippet(file: VaultFile, query: string): Promise<ContentSnippet | null> {
+        try {
+            const content = await this.readSearchableText(file);
+            if (content === null) return null;
+            
+            const lines = content.substring(0, MAX_SNIPPET_SCAN).split('\n');
+            
+            for (let line = 0; line < lines.length; line++) {
+                const text = lines[line];
+                const ranges = this.findQueryRanges(text, query);
+                if (ranges.length === 0) continue;
+                
+                // Window around the first match
+                const start = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+                const end = Math.min(text.length, ranges[0][1] + SNIPPET_RADIUS * 2);
+                const window = text.substring(start, end);
+                const prefix = start > 0 ? '…' : '';
+                const suffix = end < text.length ? '…' : '';
+                
+                // Shift ranges into snippet coordinates (after the ellipsis and trimmed indentation)
+                const shift = prefix.length - start - (window.length - window.replace(/^\s+/, '').length);
+                
+                return {
+                    text: prefix + window.trim() + suffix,
+                    matches: ranges
+                        .filter(([from, to]) => from >= start && to <= end)
+                        .map(([from, to]) => [from + shift, to + shift] as MatchRange),
+                    line
+                };
+            }
+        } catch (error) {
+            console.warn(`Failed to build snippet for ${file.path}:`, error);
+        }
+        return null;
+    }
+
+    /** Sort ranges and merge any that overlap or touch */
+    private mergeRanges(ranges: MatchRange[]): MatchRange[] {
+        const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+        const merged: MatchRange[] = [];
+        sorted.forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push([range[0], range[1]]);
+            }
+        });
+        return merged;
+    }
+
+    /** Map Fuse match indices (inclusive, on `jamo` or `display`) back to syllable ranges in `display` */
+    private rangesFromFuseMatches(entry: IndexEntry, matches: readonly Fuse.FuseResultMatch[] | undefined): MatchRange[] {
+        if (!matches) return [];
+        
+        const ranges: MatchRange[] = [];
+        matches.forEach(match => {
+            if (match.key === 'display') {
+                match.indices.forEach(([start, end]) => ranges.push([start, end + 1]));
+            } else if (match.key === 'jamo') {
+                const owners = this.jamoOwners(entry.display);
+                match.indices.forEach(([start, end]) => {
+                    // A single stray jamo is noise, not a meaningful match
+                    if (end - start < 1 || owners[start] === undefined || owners[end] === undefined) return;
+                    ranges.push([owners[start], owners[end] + 1]);
+                });
+            }
+        });
+        return this.mergeRanges(ranges);
+    }
+
+    /** For each jamo position of `text`'s decomposition, the index of the syllable it came from */
+    private jamoOwners(text: string): number[] {
+        const owners: number[] = [];
+        for (let i = 0; i < text.length; i++) {
+            const length = this.decomposeKoreanText(text[i]).length || 1;
+            for (let j = 0; j < length; j++) {
+                owners.push(i);
+            }
+        }
+        return owners;
     }
 
     /** Load content for top results in background */
@@ -224,36 +1008,328 @@ export class HangulIndex {
         }
     }
 
-    /** Perform Korean-aware search with multiple strategies */
-    private performKoreanSearch(query: string): IndexEntry[] {
+    /** One result per note for the note, its aliases and tags - headings are separate link targets */
+    private resultKey(entry: IndexEntry): string {
+        return entry.kind === 'heading' ? `${entry.path}#${entry.display}` : entry.path;
+    }
+
+    /** Perform Korean-aware search with multiple strategies (all of them unless `strategies` is given) */
+    private performKoreanSearch(query: string, strategies: ReadonlySet<SearchStrategy> | null = null): IndexEntry[] {
         const results = new Map<string, IndexEntry>();
+        const allows = (strategy: SearchStrategy) => !strategies || strategies.has(strategy);
         
         // Strategy 1: Direct text search (for regular text)
-        this.searchByStrategy(query, results, 'direct');
+        if (allows('direct')) {
+            this.searchByStrategy(query, results, 'direct');
+        }
         
         // Strategy 2: Decomposed search (for Korean characters)
         const decomposed = this.decomposeKoreanText(query);
-        if (decomposed !== query) {
+        if (allows('decomposed') && decomposed !== query) {
             console.log(`🔍 Using decomposed search: "${decomposed}"`);
             this.searchByStrategy(decomposed, results, 'decomposed');
         }
         
         // Strategy 3: Initial consonant search (초성 검색)
-        if (this.isInitialConsonantQuery(query)) {
+        if (allows('initial-consonant') && this.isInitialConsonantQuery(query)) {
             console.log(`🔍 Initial consonant search: "${query}"`);
             this.searchByInitialConsonants(query, results);
         }
         
         // Strategy 4: Partial syllable search (부분 음절)
-        if (this.isPartialSyllableQuery(query)) {
+        if (allows('partial-syllable') && this.isPartialSyllableQuery(query)) {
             console.log(`🔍 Partial syllable search: "${query}"`);
             this.searchByPartialSyllables(query, results);
         }
         
+        // Strategy 5: Full-text content search (본문 검색)
+        if (allows('content')) {
+            this.searchByContent(query, results);
+        }
+        
+        // Strategy 6: Wrong IME mode (gksrmf → 한글, ㅗ디ㅣㅐ → hello)
+        if (allows('keyboard-layout')) {
+            this.searchByKeyboardConversion(query, results);
+        }
+        
         return Array.from(results.values());
     }
 
-    private searchByStrategy(searchTerm: string, results: Map<string, IndexEntry>, strategy: string): void {
+    /** Search with operators: AND-ed terms, "phrases", -exclusions and path/tag/ext/modified filters */
+    private performQuerySearch(parsed: ParsedQuery, strategies: ReadonlySet<SearchStrategy> | null = null): IndexEntry[] {
+        let candidates: Map<string, IndexEntry> | null = null;
+        
+        // Every term and phrase must match, each with the full set of Korean strategies
+        const required = [
+            ...parsed.terms.map(term => () => this.performKoreanSearch(term, strategies)),
+            ...parsed.phrases.map(phrase => () => this.searchByPhrase(phrase, strategies))
+        ];
+        for (const search of required) {
+            const matches = new Map<string, IndexEntry>();
+            search().forEach(entry => matches.set(this.resultKey(entry), entry));
+            candidates = candidates === null ? matches : this.intersectResults(candidates, matches);
+            if (candidates.size === 0) return [];
+        }
+        
+        // Filters only - start from every file, most recently modified first
+        if (candidates === null) {
+            candidates = new Map();
+            for (const entry of this.indexMap.values()) {
+                const days = (Date.now() - entry.mtime) / (1000 * 60 * 60 * 24);
+                candidates.set(entry.path, { ...entry, score: 1 / (1 + Math.max(days, 0)) });
+            }
+        }
+        
+        const excludedPaths = this.findExcludedPaths(parsed.excluded, parsed.excludedPhrases);
+        const results = Array.from(candidates.values())
+            .filter(entry => !excludedPaths.has(entry.path) && this.matchesFilters(entry, parsed));
+        
+        console.log(`🔍 Query search: ${parsed.terms.length} terms, ${parsed.phrases.length} phrases, ${parsed.excluded.length + parsed.excludedPhrases.length} exclusions → ${results.length} results`);
+        return results;
+    }
+
+    /** Keep entries found by both searches, adding up their scores */
+    private intersectResults(a: Map<string, IndexEntry>, b: Map<string, IndexEntry>): Map<string, IndexEntry> {
+        const both = new Map<string, IndexEntry>();
+        a.forEach((entry, path) => {
+            const other = b.get(path);
+            if (!other) return;
+            
+            both.set(path, {
+                ...entry,
+                score: entry.score + other.score,
+                matchedIn: entry.matchedIn === 'content' || other.matchedIn === 'content' ? 'content' : 'title',
+                interpretedAs: entry.interpretedAs || other.interpretedAs,
+                strategy: entry.strategy || other.strategy
+            });
+        });
+        return both;
+    }
+
+    /**
+     * "exact phrase": as typed in a title, alias, heading or tag. Bodies are not searched - the word
+     * index has no positions, so it cannot tell a phrase from its words scattered through a note.
+     */
+    private searchByPhrase(phrase: string, strategies: ReadonlySet<SearchStrategy> | null = null): IndexEntry[] {
+        if (strategies && !strategies.has('direct')) return [];
+        
+        const needle = phrase.toLowerCase();
+        const results: IndexEntry[] = [];
+        this.entries.forEach(entry => {
+            if (entry.display.toLowerCase().includes(needle)) {
+                const score = this.calculateRelevanceScore(entry, phrase, 0, 'direct');
+                results.push({ ...entry, score, matchedIn: 'title', strategy: 'direct' });
+            }
+        });
+        return results;
+    }
+
+    /** Paths whose title or body matches any excluded term (초성/jamo rules apply), or whose title contains an excluded phrase */
+    private findExcludedPaths(excluded: string[], excludedPhrases: string[] = []): Set<string> {
+        const paths = new Set<string>();
+        excluded.forEach(term => {
+            this.entries.forEach(entry => {
+                if (this.findQueryRanges(entry.display, term).length > 0) {
+                    paths.add(entry.path);
+                }
+            });
+            this.tokenize(term).forEach(word => {
+                this.findContentPaths(word).forEach(path => paths.add(path));
+            });
+        });
+        
+        // -"exact phrase" needs the whole phrase, same rules as a required phrase
+        excludedPhrases.forEach(phrase => {
+            this.searchByPhrase(phrase).forEach(entry => paths.add(entry.path));
+        });
+        return paths;
+    }
+
+    /** Check path:, folder:, tag:, ext: and modified: filters - negated filters must not match */
+    private matchesFilters(entry: IndexEntry, parsed: ParsedQuery): boolean {
+        const passes = <T extends { negated: boolean }>(filters: T[], matches: (filter: T) => boolean) =>
+            filters.every(filter => matches(filter) !== filter.negated);
+        
+        if (!passes(parsed.paths, path => this.findMatchRanges(entry.path, path.value).length > 0)) {
+            return false;
+        }
+        
+        if (parsed.folders.length > 0) {
+            const folder = entry.path.includes('/') ? entry.path.substring(0, entry.path.lastIndexOf('/')) : '';
+            // Match at the start of any folder segment: folder:2024 finds 프로젝트/2024
+            const inFolder = (filter: FilterValue) => this.findMatchRanges(folder, filter.value)
+                .some(([start]) => start === 0 || folder[start - 1] === '/');
+            if (!passes(parsed.folders, inFolder)) return false;
+        }
+        
+        if (parsed.extensions.length > 0) {
+            // ext:pdf ext:png means either extension; -ext:png excludes one
+            const extension = entry.path.substring(entry.path.lastIndexOf('.') + 1).toLowerCase();
+            const wanted = parsed.extensions.filter(ext => !ext.negated);
+            if (wanted.length > 0 && !wanted.some(ext => ext.value === extension)) return false;
+            if (parsed.extensions.some(ext => ext.negated && ext.value === extension)) return false;
+        }
+        
+        const age = Date.now() - entry.mtime;
+        if (!passes(parsed.modified, filter => filter.operator === '<' ? age < filter.ms : age > filter.ms)) {
+            return false;
+        }
+        
+        if (parsed.tags.length > 0) {
+            const tags = this.getFileTags(entry.path);
+            if (!passes(parsed.tags, filter => tags.some(tag => this.matchesTag(tag, filter.value)))) return false;
+        }
+        
+        return true;
+    }
+
+    /** Tags of a note from the metadata cache, lower-cased without '#' */
+    private getFileTags(path: string): string[] {
+        const file = this.vault.getFile(path);
+        const metadata = file ? this.vault.getMetadata(file) : null;
+        if (!metadata) return [];
+        return metadata.tags.map(tag => tag.toLowerCase().replace(/^#/, ''));
+    }
+
+    /** tag:#프로젝트 matches #프로젝트 and #프로젝트/하위; tag:#ㅍㄹㅈㅌ matches by 초성 */
+    private matchesTag(tag: string, filter: string): boolean {
+        if (tag === filter || tag.startsWith(filter + '/')) return true;
+        return this.isInitialConsonantQuery(filter) && this.extractInitialConsonants(tag) === filter;
+    }
+
+    /** Re-run the search on the query as it would have been typed in the other IME mode */
+    private searchByKeyboardConversion(query: string, results: Map<string, IndexEntry>): void {
+        // A single keystroke converts to almost anything - not worth the noise
+        if (query.replace(/\s/g, '').length < MIN_CONVERSION_KEYSTROKES) return;
+        
+        // Only conversions that form real syllables (gksrmf → 한글, not a → ㅁ), and Korean input that
+        // can't be a 초성 query: a syllable or a loose vowel (ㅗㅑ → hi, but not ㅎㄱ → gr)
+        let converted: string | null = null;
+        if (isLatinKeystrokes(query)) {
+            const hangul = latinToHangul(query);
+            if (/[가-힣]/.test(hangul)) {
+                converted = hangul;
+            }
+        } else if (isHangulKeystrokes(query) && /[가-힣ㅏ-ㅣ]/.test(query)) {
+            converted = hangulToLatin(query);
+        }
+        if (!converted || converted === query) return;
+        
+        console.log(`⌨️ Keyboard layout search: "${query}" → "${converted}"`);
+        
+        const candidates = new Map<string, IndexEntry>();
+        this.searchByStrategy(converted, candidates, 'keyboard-layout');
+        if (this.isInitialConsonantQuery(converted)) {
+            this.searchByInitialConsonants(converted, candidates);
+        }
+        if (this.isPartialSyllableQuery(converted)) {
+            this.searchByPartialSyllables(converted, candidates);
+        }
+        this.searchByContent(converted, candidates);
+        
+        candidates.forEach((entry, key) => {
+            let score = CONVERTED_CONTENT_SCORE;
+            if (entry.matchedIn === 'title') {
+                // Fuzzy hits on a converted query are mostly noise - keep real matches only
+                if (this.findQueryRanges(entry.display, converted!).length === 0) return;
+                score = this.calculateRelevanceScore(entry, converted!, 0.3, 'keyboard-layout');
+            }
+            
+            if (!results.has(key) || results.get(key)!.score < score) {
+                results.set(key, { ...entry, score, interpretedAs: converted!, strategy: 'keyboard-layout' });
+            }
+        });
+    }
+
+    /** Match every query word against the content index (syllables, jamo or 초성) */
+    private searchByContent(query: string, results: Map<string, IndexEntry>): void {
+        if (this.contentTokens.size === 0) return;
+        
+        const queryWords = this.tokenize(query);
+        if (queryWords.length === 0) return;
+        
+        // Every query word must appear somewhere in the body
+        let matchingPaths: Set<string> | null = null;
+        for (const word of queryWords) {
+            const paths = this.findContentPaths(word);
+            if (matchingPaths === null) {
+                matchingPaths = paths;
+            } else {
+                const previous: Set<string> = matchingPaths;
+                matchingPaths = new Set(Array.from(paths).filter(path => previous.has(path)));
+            }
+            if (matchingPaths.size === 0) return;
+        }
+        
+        let added = 0;
+        matchingPaths!.forEach(path => {
+            const entry = this.indexMap.get(path);
+            if (!entry) return;
+            
+            // Title matches take precedence over body matches
+            if (results.has(path)) return;
+            
+            const score = this.calculateRelevanceScore(entry, query, 0.4, 'content');
+            results.set(path, { ...entry, score, matchedIn: 'content', strategy: 'content' });
+            added++;
+        });
+        
+        console.log(`🔍 Content search: ${matchingPaths!.size} files contain "${query}" (${added} new)`);
+    }
+
+    /** Collect paths whose body contains a word matching `word` */
+    private findContentPaths(word: string): Set<string> {
+        const paths = new Set<string>();
+        this.findContentWords(word).forEach(match => {
+            this.contentSyllableIndex.get(match)?.forEach(path => paths.add(path));
+        });
+        return paths;
+    }
+
+    /**
+     * Indexed words containing `word` under the `findMatchRanges` rules (whole syllables, 초성,
+     * an unfinished last syllable): 한 finds 한글 but not 하나, ㅎㄱ finds 한글 and 학교.
+     */
+    private findContentWords(word: string): Set<string> {
+        const found = new Set<string>();
+        if (this.contentSyllableIndex.has(word)) found.add(word);
+        
+        if (word.length === 1) {
+            // Every word holding a matching character matches - no need to check them
+            for (const [char, words] of this.contentCharIndex) {
+                if (this.findMatchRanges(char, word).length > 0) {
+                    words.forEach(match => found.add(match));
+                }
+            }
+            return found;
+        }
+        
+        // Any match shares these keys with the query: its literal characters (not 초성 or the
+        // unfinished last syllable) and its 초성 pairs. Check only the words of the rarest key.
+        const keys: Set<string>[] = [];
+        const last = word.length - 1;
+        for (let i = 0; i <= last; i++) {
+            if (!/[ㄱ-ㅎ]/.test(word[i]) && !(i === last && /[가-힣]/.test(word[i]))) {
+                keys.push(this.contentCharIndex.get(word[i]) || new Set());
+            }
+        }
+        const initials = this.extractInitialConsonants(word);
+        for (let i = 0; i < last; i++) {
+            if (/[가-힣ㄱ-ㅎㅏ-ㅣ]/.test(word[i] + word[i + 1])) {
+                keys.push(this.contentInitialIndex.get(initials.substring(i, i + 2)) || new Set());
+            }
+        }
+        
+        const candidates = keys.reduce((rarest, key) => key.size < rarest.size ? key : rarest);
+        candidates.forEach(candidate => {
+            if (!found.has(candidate) && this.findMatchRanges(candidate, word).length > 0) {
+                found.add(candidate);
+            }
+        });
+        return found;
+    }
+
+    private searchByStrategy(searchTerm: string, results: Map<string, IndexEntry>, strategy: SearchStrategy): void {
         if (!this.fuse) {
             console.warn('⚠️ Search index not ready, rebuilding...');
             this.rebuildFuse();
@@ -271,8 +1347,10 @@ export class HangulIndex {
             const item = result.item;
             const score = this.calculateRelevanceScore(item, searchTerm, result.score || 0, strategy);
             
-            if (!results.has(item.path) || results.get(item.path)!.score < score) {
-                results.set(item.path, { ...item, score });
+            const key = this.resultKey(item);
+            if (!results.has(key) || results.get(key)!.score < score) {
+                const titleMatches = this.rangesFromFuseMatches(item, result.matches);
+                results.set(key, { ...item, score, matchedIn: 'title', titleMatches, strategy });
             }
         });
     }
@@ -292,8 +1370,9 @@ export class HangulIndex {
         
         [...directMatches, ...subsequenceMatches].forEach(entry => {
             const score = this.calculateRelevanceScore(entry, query, 0.3, 'initial-consonant');
-            if (!results.has(entry.path) || results.get(entry.path)!.score < score) {
-                results.set(entry.path, { ...entry, score });
+            const key = this.resultKey(entry);
+            if (!results.has(key) || results.get(key)!.score < score) {
+                results.set(key, { ...entry, score, matchedIn: 'title', strategy: 'initial-consonant' });
             }
         });
         
@@ -332,8 +1411,9 @@ export class HangulIndex {
             // Additional accuracy check for partial syllables
             if (this.matchesPartialSyllable(entry.display, query)) {
                 const score = this.calculateRelevanceScore(entry, query, 0.2, 'partial-syllable');
-                if (!results.has(entry.path) || results.get(entry.path)!.score < score) {
-                    results.set(entry.path, { ...entry, score });
+                const key = this.resultKey(entry);
+                if (!results.has(key) || results.get(key)!.score < score) {
+                    results.set(key, { ...entry, score, matchedIn: 'title', strategy: 'partial-syllable' });
                 }
             }
         });
@@ -341,6 +1421,41 @@ export class HangulIndex {
         console.log(`🔍 Partial syllable search: ${matchingEntries.size} candidates filtered`);
     }
 
+    /**
+     * Find where `query` matches inside `text`, character by character:
+     * a syllable matches itself, a lone consonant matches a syllable's 초성 (ㅎㄱ → 한글),
+     * and the last query character may be an unfinished syllable (한그 → 한글).
+     */
+    findMatchRanges(text: string, query: string): MatchRange[] {
+        const needle = query.trim().toLowerCase();
+        const haystack = text.toLowerCase();
+        if (!needle || haystack.length !== text.length) return [];
+        
+        const ranges: MatchRange[] = [];
+        const initials = this.extractInitialConsonants(haystack);
+        const last = needle.length - 1;
+        
+        for (let start = 0; start + needle.length <= haystack.length; start++) {
+            let matched = true;
+            for (let i = 0; i <= last; i++) {
+                const q = needle[i];
+                const t = haystack[start + i];
+                if (q === t) continue;
+                if (this.isInitialConsonantQuery(q) && initials[start + i] === q) continue;
+                if (i === last && this.isUnfinishedSyllable(q, t)) continue;
+                matched = false;
+                break;
+            }
+            
+            if (matched) {
+                ranges.push([start, start + needle.length]);
+                start += needle.length - 1; // Matches never overlap
+            }
+        }
+        
+        return ranges;
+    }
+
     /** Check if query is initial consonants only (like ㅎㄱ) */
     private isInitialConsonantQuery(query: string): boolean {
         const koreanConsonants = /^[ㄱ-ㅎ]+$/;
@@ -366,6 +1481,12 @@ export class HangulIndex {
         }).join('');
     }
 
+    /** `partial` is `syllable` still being typed: 그 → 글, ㄱ → 글, but not ㄹ or ㅡ → 글 */
+    private isUnfinishedSyllable(partial: string, syllable: string): boolean {
+        return /[가-힣]/.test(syllable)
+            && this.decomposeKoreanText(syllable).startsWith(this.decomposeKoreanText(partial));
+    }
+
     /** Check if text matches partial syllable pattern */
     private matchesPartialSyllable(text: string, pattern: string): boolean {
         // Simple implementation: check if decomposed text contains pattern
@@ -395,8 +1516,8 @@ export class HangulIndex {
     /** Update search threshold */
     updateThreshold(threshold: number) {
         try {
-            if (this.plugin.settings) {
-                this.plugin.settings.fuzzyThreshold = threshold;
+            if (this.host.settings) {
+                this.host.settings.fuzzyThreshold = threshold;
             }
             this.rebuildFuse();
         } catch (error) {
@@ -407,27 +1528,35 @@ export class HangulIndex {
 
     /** Get total number of indexed files */
     getIndexedCount(): number {
-        return this.entries.length;
+        return this.indexMap.size;
+    }
+
+    /** Get number of files with indexed content */
+    getContentIndexedCount(): number {
+        return this.contentTokens.size;
     }
 
     /** Clear entire index */
     clear(): void {
         this.entries = [];
         this.indexMap.clear();
+        this.targetMap.clear();
         this.contentCache.clear();
+        this.snippetCache.clear();
         
         // 🚀 NEW: Clear optimized indexes
         this.initialConsonantIndex.clear();
         this.jamoIndex.clear();
         this.ngramIndex.clear();
         this.decompositionCache.clear();
+        this.clearContentIndex();
         
         this.rebuildFuse();
     }
 
     /* ---------- Private methods ---------- */
 
-    private calculateRelevanceScore(entry: IndexEntry, query: string, fuseScore: number, strategy: string): number {
+    private calculateRelevanceScore(entry: IndexEntry, query: string, fuseScore: number, strategy: SearchStrategy): number {
         let score = 1 - fuseScore; // Higher is better
         
         // Boost based on strategy
@@ -444,6 +1573,12 @@ export class HangulIndex {
             case 'decomposed':
                 score += 1; // Fallback
                 break;
+            case 'keyboard-layout':
+                score += 3; // Typed in the wrong IME mode - as good as 초성
+                break;
+            case 'content':
+                score += 0.5; // Body match - ranked below any title match
+                break;
         }
         
         const queryLower = query.toLowerCase();
@@ -461,6 +1596,11 @@ export class HangulIndex {
             score += 2;
         }
         
+        // Headings and tags rank just below the note itself
+        if (entry.kind === 'heading' || entry.kind === 'tag') {
+            score -= 0.5;
+        }
+        
         // Boost recently modified files
         const daysSinceModified = (Date.now() - entry.mtime) / (1000 * 60 * 60 * 24);
         if (daysSinceModified < 7) {
@@ -475,9 +1615,9 @@ export class HangulIndex {
         return score;
     }
 
-    private rebuildFuse() {
+    private rebuildFuse(rebuildSearchIndexes: boolean = true) {
         try {
-            const threshold = this.plugin.settings?.fuzzyThreshold || this.defaultThreshold;
+            const threshold = this.host.settings?.fuzzyThreshold || this.defaultThreshold;
             
             console.log(`🔧 Rebuilding Fuse index with ${this.entries.length} entries`);
             
@@ -500,7 +1640,7 @@ export class HangulIndex {
                 includeScore: true,
                 minMatchCharLength: 1,
                 ignoreLocation: true,
-                includeMatches: false,
+                includeMatches: true, // Used to highlight fuzzy title matches
                 // Optimize for speed
                 shouldSort: true,
                 findAllMatches: false,
@@ -508,16 +1648,19 @@ export class HangulIndex {
             });
             
             // 🚀 NEW: Build optimized search indexes
-            this.buildSearchIndexes();
+            if (rebuildSearchIndexes) {
+                this.buildSearchIndexes();
+            }
             
             console.log(`🔧 Search index updated: ${this.entries.length} entries (optimized mode)`);
+            this.notifyUpdated();
         } catch (error) {
             console.error('❌ Failed to rebuild search index:', error);
         }
     }
 
     /** Batch add files with single Fuse rebuild at the end */
-    async batchAddFiles(files: TFile[]): Promise<number> {
+    async batchAddFiles(files: VaultFile[]): Promise<number> {
         let indexed = 0;
         
         for (const file of files) {
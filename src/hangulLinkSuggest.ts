@@ -1,8 +1,9 @@
 import { EditorSuggest, EditorPosition, EditorSuggestContext, EditorSuggestTriggerInfo, TFile, Editor, App } from 'obsidian';
-import { IndexEntry } from './hangulIndex';
+import { ContentSnippet, HangulIndex, IndexEntry } from './hangulIndex';
+import { renderHighlighted } from './highlight';
 
 export class HangulLinkSuggest extends EditorSuggest<IndexEntry> {
-    constructor(app: App, private index: any) {
+    constructor(app: App, private index: HangulIndex) {
         super(app);
     }
 
@@ -23,8 +24,19 @@ export class HangulLinkSuggest extends EditorSuggest<IndexEntry> {
         return null;
     }
 
-    getSuggestions(context: EditorSuggestContext): IndexEntry[] {
+    getSuggestions(context: EditorSuggestContext): IndexEntry[] | Promise<IndexEntry[]> {
         const query = context.query;
+        
+        // [[note#제목 → Korean-aware heading search inside that note ([[#제목 for the current note),
+        // [[note#^내용 → the same for its blocks
+        const headingQuery = this.parseHeadingQuery(query, context.file);
+        if (headingQuery) {
+            const { file, heading } = headingQuery;
+            return heading.startsWith('^')
+                ? this.index.searchBlocks(file.path, heading.substring(1))
+                : this.index.searchHeadings(file.path, heading);
+        }
+        
         if (!query) {
             // Return recent files or all files
             return this.getRecentFiles();
@@ -37,14 +49,33 @@ export class HangulLinkSuggest extends EditorSuggest<IndexEntry> {
     renderSuggestion(item: IndexEntry, el: HTMLElement): void {
         const container = el.createDiv();
         
-        // File name
+        // File name with highlighting
         const titleEl = container.createDiv({ cls: 'hangul-link-title' });
-        titleEl.setText(item.display);
+        renderHighlighted(titleEl, item.display, item.titleMatches);
+        
+        // Alias, heading or tag of a note
+        if (item.kind && item.kind !== 'file') {
+            titleEl.createSpan({ cls: 'hangul-link-kind', text: item.kind });
+        }
+        if (this.isAttachment(item)) {
+            titleEl.createSpan({ cls: 'hangul-link-kind', text: 'embed' });
+        }
         
         // File path (if different from display)
         if (item.path !== item.display) {
             const pathEl = container.createDiv({ cls: 'hangul-link-path' });
-            pathEl.setText(item.path);
+            pathEl.setText(item.matchedIn === 'content' ? `${item.path} · content match` : item.path);
+        }
+        
+        // Body snippet around the match (body matches only - reading notes is slow)
+        const query = this.context?.query;
+        if (query && item.matchedIn === 'content') {
+            const snippetEl = container.createDiv({ cls: 'hangul-link-snippet' });
+            this.index.getContentSnippet(item.path, item.interpretedAs || query).then((snippet: ContentSnippet | null) => {
+                if (snippet) {
+                    renderHighlighted(snippetEl, snippet.text, snippet.matches);
+                }
+            });
         }
     }
 
@@ -60,17 +91,67 @@ export class HangulLinkSuggest extends EditorSuggest<IndexEntry> {
         const match = beforeCursor.match(/\[\[([^\]]*?)$/);
         if (!match) return;
         
-        const start = cursor.ch - match[1].length;
+        let start = cursor.ch - match[1].length;
         const end = cursor.ch;
+        let link = this.getLinkText(item) + ']]';
+        
+        this.index.recordSelection(match[1], item);
+        
+        // Attachments (PDFs, images...) are embedded: ![[file.pdf]]
+        if (this.isAttachment(item) && beforeCursor.charAt(start - 3) !== '!') {
+            start -= 2;
+            link = '![[' + link;
+        }
         
-        // Replace with the selected file name
+        // Replace with [[note]], [[note|alias]], [[note#heading]] or [[note#^block]]
         editor.replaceRange(
-            item.display + ']]',
+            link,
             { line: cursor.line, ch: start },
             { line: cursor.line, ch: end }
         );
     }
 
+    /** Link text for a suggestion, resolved the way Obsidian would write it from this note */
+    private getLinkText(item: IndexEntry): string {
+        const sourcePath = this.context?.file?.path ?? '';
+        const file = this.app.vault.getAbstractFileByPath(item.path);
+        const linktext = file instanceof TFile
+            ? this.app.metadataCache.fileToLinktext(file, sourcePath, true)
+            : item.display;
+        
+        switch (item.kind) {
+            case 'alias':
+                return `${linktext}|${item.display}`;
+            case 'heading':
+                // Headings of the current note link as [[#heading]]
+                return item.path === sourcePath ? `#${item.display}` : `${linktext}#${item.display}`;
+            case 'block':
+                return item.path === sourcePath ? `#^${item.blockId}` : `${linktext}#^${item.blockId}`;
+            default:
+                return linktext;
+        }
+    }
+
+    /** Anything that is not a note or a canvas */
+    private isAttachment(item: IndexEntry): boolean {
+        const extension = item.path.substring(item.path.lastIndexOf('.') + 1).toLowerCase();
+        return extension !== 'md' && extension !== 'canvas';
+    }
+
+    /** Split "note#heading" and resolve the note part; null when the query has no '#' */
+    private parseHeadingQuery(query: string, sourceFile: TFile | null): { file: TFile; heading: string } | null {
+        const hash = query.indexOf('#');
+        if (hash === -1) return null;
+        
+        const linkpath = query.substring(0, hash);
+        const file = linkpath
+            ? this.app.metadataCache.getFirstLinkpathDest(linkpath, sourceFile?.path ?? '')
+            : sourceFile;
+        if (!file) return null;
+        
+        return { file, heading: query.substring(hash + 1) };
+    }
+
     private getRecentFiles(): IndexEntry[] {
         // Get recently opened files and convert to IndexEntry format
         const recentFiles = this.app.workspace.getLastOpenFiles()
@@ -1,10 +1,16 @@
 import { App, SuggestModal, TFile } from 'obsidian';
 import { IndexEntry, HangulIndex } from './hangulIndex';
+import { renderHighlighted } from './highlight';
+import { describeFilters, highlightText, parseQuery } from './queryParser';
 
 export class HangulSwitcher extends SuggestModal<IndexEntry> {
+    private currentQuery = '';
+    private currentHighlight = '';
+    private filtersEl: HTMLElement;
+
     constructor(app: App, private index: HangulIndex) {
         super(app);
-        this.setPlaceholder('🔍 Korean Search: Try ㅎㄱ, 한ㄱ, or ㅎㄱㄹ교...');
+        this.setPlaceholder('🔍 Korean Search: Try ㅎㄱ, 한ㄱ, ㅎㄱㄹ교, or tag:#태그 modified:<7d...');
         this.setInstructions([
             { command: '↑↓', purpose: 'to navigate' },
             { command: '↵', purpose: 'to open' },
@@ -12,10 +18,18 @@ export class HangulSwitcher extends SuggestModal<IndexEntry> {
             { command: 'Shift ↵', purpose: 'to open in new pane' },
             { command: 'esc', purpose: 'to dismiss' }
         ]);
+
+        // Active filters (tag:, path:, modified:...) shown above the results
+        this.filtersEl = createDiv({ cls: 'hangul-search-filters' });
+        this.resultContainerEl.before(this.filtersEl);
     }
 
     getSuggestions(query: string): IndexEntry[] {
         console.log(`🔍 HangulSwitcher.getSuggestions() called with query: "${query}"`);
+        this.currentQuery = query;
+        const parsed = parseQuery(query);
+        this.currentHighlight = highlightText(parsed) || query;
+        this.renderFilters(describeFilters(parsed));
         
         if (!query || query.trim().length === 0) {
             const recentFiles = this.getRecentFiles();
@@ -47,7 +61,18 @@ export class HangulSwitcher extends SuggestModal<IndexEntry> {
 
         // File name with highlighting
         const titleEl = container.createDiv({ cls: 'hangul-search-title' });
-        titleEl.setText(item.display);
+        renderHighlighted(titleEl, item.display, item.titleMatches);
+
+        // Alias, heading or tag of a note
+        if (item.kind && item.kind !== 'file') {
+            titleEl.createSpan({ cls: 'hangul-search-kind', text: item.kind });
+        }
+
+        // File type badge for PDFs, images, canvases...
+        const extension = this.getExtension(item.path);
+        if (extension !== 'md') {
+            titleEl.createSpan({ cls: `hangul-search-file-type is-${extension}`, text: extension.toUpperCase() });
+        }
 
         // File path
         if (item.path !== item.display) {
@@ -55,15 +80,33 @@ export class HangulSwitcher extends SuggestModal<IndexEntry> {
             pathEl.setText(item.path);
         }
 
-        // Content preview
+        // Content preview - replaced by a snippet around the match once the note is read
+        const contentEl = container.createDiv({ cls: 'hangul-search-content' });
         if (item.content && item.content.trim()) {
-            const contentEl = container.createDiv({ cls: 'hangul-search-content' });
             contentEl.setText(item.content.substring(0, 100) + '...');
         }
+        this.renderSnippet(item, contentEl);
 
         // Metadata
         const metaEl = container.createDiv({ cls: 'hangul-search-meta' });
         
+        // Which keyboard interpretation matched (gksrmf → 한글)
+        if (item.interpretedAs) {
+            metaEl.createSpan({
+                cls: 'hangul-search-interpretation',
+                text: `⌨️ ${item.interpretedAs}`,
+                attr: { 'aria-label': 'Matched after converting the keyboard layout' }
+            });
+        }
+
+        // Where the query matched
+        if (item.matchedIn) {
+            metaEl.createSpan({
+                cls: `hangul-search-match-location is-${item.matchedIn}`,
+                text: item.matchedIn === 'title' ? 'Title match' : 'Content match'
+            });
+        }
+        
         // File size
         const sizeText = this.formatFileSize(item.size);
         metaEl.createSpan({ cls: 'hangul-search-size', text: sizeText });
@@ -81,6 +124,28 @@ export class HangulSwitcher extends SuggestModal<IndexEntry> {
         }
     }
 
+    private renderFilters(filters: string[]): void {
+        this.filtersEl.empty();
+        filters.forEach(filter => {
+            this.filtersEl.createSpan({ cls: 'hangul-search-filter', text: filter });
+        });
+    }
+
+    /** Fill `contentEl` with the body text around the first match (body matches only - reading notes is slow) */
+    private renderSnippet(item: IndexEntry, contentEl: HTMLElement): void {
+        const query = this.currentQuery;
+        if (!query.trim() || item.matchedIn !== 'content') return;
+
+        this.index.getContentSnippet(item.path, item.interpretedAs || this.currentHighlight).then(snippet => {
+            // Results may have been re-rendered for a newer query meanwhile
+            if (!snippet || query !== this.currentQuery) return;
+
+            contentEl.empty();
+            contentEl.addClass('is-snippet');
+            renderHighlighted(contentEl, snippet.text, snippet.matches);
+        });
+    }
+
     onChooseSuggestion(item: IndexEntry, evt: MouseEvent | KeyboardEvent): void {
         const file = this.app.vault.getAbstractFileByPath(item.path);
         if (!(file instanceof TFile)) {
@@ -88,21 +153,26 @@ export class HangulSwitcher extends SuggestModal<IndexEntry> {
             return;
         }
 
+        this.index.recordSelection(this.currentQuery, item);
+
         // Handle different modifiers
         const newLeaf = (evt as KeyboardEvent)?.ctrlKey || (evt as MouseEvent)?.ctrlKey;
         const newPane = (evt as KeyboardEvent)?.shiftKey || (evt as MouseEvent)?.shiftKey;
 
         console.log(`📂 Opening file: ${item.path} (newLeaf: ${newLeaf}, newPane: ${newPane})`);
 
+        // Heading results scroll to the heading
+        const openState = item.kind === 'heading' ? { eState: { subpath: `#${item.display}` } } : undefined;
+
         if (newPane) {
             // Open in new pane (split)
-            this.app.workspace.getLeaf('split').openFile(file);
+            this.app.workspace.getLeaf('split').openFile(file, openState);
         } else if (newLeaf) {
             // Open in new tab
-            this.app.workspace.getLeaf('tab').openFile(file);
+            this.app.workspace.getLeaf('tab').openFile(file, openState);
         } else {
             // Open in current tab
-            this.app.workspace.activeLeaf?.openFile(file);
+            this.app.workspace.activeLeaf?.openFile(file, openState);
         }
     }
 
@@ -136,6 +206,11 @@ export class HangulSwitcher extends SuggestModal<IndexEntry> {
         }
     }
 
+    private getExtension(path: string): string {
+        const dot = path.lastIndexOf('.');
+        return dot === -1 ? '' : path.substring(dot + 1).toLowerCase();
+    }
+
     private formatFileSize(bytes: number): string {
         if (bytes < 1024) return `${bytes}B`;
         if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)}KB`;
@@ -0,0 +1,13 @@
+import { MatchRange } from './hangulIndex';
+
+/** Append `text` to `el`, wrapping each matched range in a highlight span */
+export function renderHighlighted(el: HTMLElement, text: string, ranges: MatchRange[] = []): void {
+    let last = 0;
+    ranges.forEach(([start, end]) => {
+        if (start < last || end > text.length) return;
+        el.appendText(text.substring(last, start));
+        el.createSpan({ cls: 'hangul-search-highlight', text: text.substring(start, end) });
+        last = end;
+    });
+    el.appendText(text.substring(last));
+}
@@ -0,0 +1,68 @@
+import { normalizePath } from 'obsidian';
+import type HangulSearchPlugin from '../main';
+import { SerializedIndex } from './hangulIndex';
+
+export const INDEX_FILE_NAME = 'search-index.json';
+
+/** Path of a file in the plugin data folder, next to data.json */
+export function pluginDataPath(plugin: HangulSearchPlugin, fileName: string): string {
+    const dir = plugin.manifest.dir
+        || `${plugin.app.vault.configDir}/plugins/${plugin.manifest.id}`;
+    return normalizePath(`${dir}/${fileName}`);
+}
+
+/** A file that can be missing - read() returns null then */
+export interface DataFile {
+    read(): Promise<string | null>;
+    write(data: string): Promise<void>;
+    remove(): Promise<void>;
+}
+
+/** DataFile in the plugin data folder */
+export function pluginDataFile(plugin: HangulSearchPlugin, fileName: string): DataFile {
+    const adapter = plugin.app.vault.adapter;
+    const path = () => pluginDataPath(plugin, fileName);
+    return {
+        read: async () => (await adapter.exists(path())) ? adapter.read(path()) : null,
+        write: (data) => adapter.write(path(), data),
+        remove: async () => {
+            if (await adapter.exists(path())) {
+                await adapter.remove(path());
+            }
+        }
+    };
+}
+
+/** Reads and writes the serialized search index inside the plugin data folder */
+export class IndexStore {
+    constructor(private file: DataFile) {}
+
+    /** Load the saved index, or null if there is none or it cannot be read */
+    async load(): Promise<SerializedIndex | null> {
+        try {
+            const raw = await this.file.read();
+            return raw === null ? null : JSON.parse(raw) as SerializedIndex;
+        } catch (error) {
+            console.warn('⚠️ Failed to read saved search index:', error);
+            return null;
+        }
+    }
+
+    /** Write the index to disk */
+    async save(data: SerializedIndex): Promise<void> {
+        try {
+            await this.file.write(JSON.stringify(data));
+        } catch (error) {
+            console.error('❌ Failed to save search index:', error);
+        }
+    }
+
+    /** Delete the saved index (e.g. after clearing) */
+    async remove(): Promise<void> {
+        try {
+            await this.file.remove();
+        } catch (error) {
+            console.warn('⚠️ Failed to remove saved search index:', error);
+        }
+    }
+}
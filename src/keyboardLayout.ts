@@ -0,0 +1,71 @@
+import Hangul from 'hangul-js';
+
+/** Standard 2-beolsik (두벌식) layout: Latin key → jamo. Shift gives the double consonants and ㅒ/ㅖ. */
+const KEY_TO_JAMO: Record<string, string> = {
+    q: 'ㅂ', w: 'ㅈ', e: 'ㄷ', r: 'ㄱ', t: 'ㅅ', y: 'ㅛ', u: 'ㅕ', i: 'ㅑ', o: 'ㅐ', p: 'ㅔ',
+    a: 'ㅁ', s: 'ㄴ', d: 'ㅇ', f: 'ㄹ', g: 'ㅎ', h: 'ㅗ', j: 'ㅓ', k: 'ㅏ', l: 'ㅣ',
+    z: 'ㅋ', x: 'ㅌ', c: 'ㅊ', v: 'ㅍ', b: 'ㅠ', n: 'ㅜ', m: 'ㅡ',
+    Q: 'ㅃ', W: 'ㅉ', E: 'ㄸ', R: 'ㄲ', T: 'ㅆ', O: 'ㅒ', P: 'ㅖ'
+};
+
+/** Reverse of KEY_TO_JAMO, using the lower-case key for single jamo */
+const JAMO_TO_KEY: Record<string, string> = {};
+Object.keys(KEY_TO_JAMO).forEach(key => {
+    const jamo = KEY_TO_JAMO[key];
+    if (!(jamo in JAMO_TO_KEY) || key === key.toLowerCase()) {
+        JAMO_TO_KEY[jamo] = key;
+    }
+});
+
+/**
+ * Convert keystrokes typed with the IME in English mode into Hangul: "gksrmf" → "한글".
+ * Compound vowels (hk → ㅘ) and finals (fr → ㄺ) are composed the way the IME would.
+ * Shifted keys without a double form (G, K...) behave like caps lock.
+ */
+export function latinToHangul(input: string): string {
+    // All capitals means caps lock, not Shift on every key
+    const letters = input.replace(/[^a-zA-Z]/g, '');
+    if (letters.length > 1 && letters === letters.toUpperCase()) {
+        input = input.toLowerCase();
+    }
+
+    const result: string[] = [];
+    let pending: string[] = [];
+
+    const flush = () => {
+        if (pending.length > 0) {
+            result.push(Hangul.assemble(pending));
+            pending = [];
+        }
+    };
+
+    for (const char of input) {
+        const jamo = KEY_TO_JAMO[char] || KEY_TO_JAMO[char.toLowerCase()];
+        if (jamo) {
+            pending.push(jamo);
+        } else {
+            flush();
+            result.push(char);
+        }
+    }
+    flush();
+
+    return result.join('');
+}
+
+/** Convert Hangul typed with the IME in Korean mode back into the Latin keys pressed: "ㅗ디ㅣㅐ" → "hello" */
+export function hangulToLatin(input: string): string {
+    return Hangul.disassemble(input)
+        .map(jamo => JAMO_TO_KEY[jamo] || jamo)
+        .join('');
+}
+
+/** Query looks like 두벌식 keystrokes typed in English mode */
+export function isLatinKeystrokes(query: string): boolean {
+    return /^[a-zA-Z\s]+$/.test(query) && /[a-zA-Z]/.test(query);
+}
+
+/** Query consists only of Hangul, which could be English typed in Korean mode */
+export function isHangulKeystrokes(query: string): boolean {
+    return /^[가-힣ㄱ-ㅎㅏ-ㅣ\s]+$/.test(query) && /[가-힣ㄱ-ㅎㅏ-ㅣ]/.test(query);
+}
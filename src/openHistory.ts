@@ -0,0 +1,249 @@
+import type { DataFile } from './indexStore';
+import type { HangulSearchSettings } from './settings';
+
+export const HISTORY_FILE_NAME = 'open-history.json';
+const HISTORY_FORMAT_VERSION = 1;
+
+/** Save a few seconds after the last selection */
+const SAVE_DELAY_MS = 5000;
+
+/** A visit loses half its weight every two weeks */
+const HALF_LIFE_MS = 14 * 24 * 60 * 60 * 1000;
+
+/** Keep the history file small - least used entries are dropped first */
+const MAX_QUERIES = 2000;
+const MAX_PATHS = 5000;
+
+interface Visit {
+    count: number;
+    last: number;  // Timestamp of the latest visit
+}
+
+/** Settings the history reads - the plugin in Obsidian, a plain object in tests */
+export interface HistoryHost {
+    settings: Pick<HangulSearchSettings, 'enableHistoryRanking' | 'frecencyWeight' | 'queryHistoryWeight'>;
+}
+
+interface SerializedHistory {
+    version: number;
+    opens: Record<string, Visit>;                     // path → visits
+    queries: Record<string, Record<string, Visit>>;   // query → path → visits
+}
+
+/**
+ * Remembers which result was chosen for which query and turns it into a ranking boost.
+ * Frecency = visit count decayed by the age of the latest visit.
+ */
+export class OpenHistory {
+    private opens: Map<string, Visit> = new Map();
+    private queries: Map<string, Map<string, Visit>> = new Map();
+    private sortedQueries: string[] | null = null; // Keys of `queries`, sorted for prefix lookups
+    private saveTimer: ReturnType<typeof setTimeout> | null = null;
+
+    constructor(private file: DataFile, private host: HistoryHost) {}
+
+    async load(): Promise<void> {
+        try {
+            const raw = await this.file.read();
+            if (raw === null) return;
+
+            const data = JSON.parse(raw) as SerializedHistory;
+            if (data.version !== HISTORY_FORMAT_VERSION) return;
+
+            this.opens = new Map(Object.keys(data.opens).map(path => [path, data.opens[path]] as [string, Visit]));
+            this.queries = new Map(Object.keys(data.queries).map(query => {
+                const paths = data.queries[query];
+                return [query, new Map(Object.keys(paths).map(path => [path, paths[path]] as [string, Visit]))] as [string, Map<string, Visit>];
+            }));
+            this.sortedQueries = null;
+            console.log(`✅ Open history loaded: ${this.opens.size} files, ${this.queries.size} queries`);
+        } catch (error) {
+            console.warn('⚠️ Failed to read open history:', error);
+        }
+    }
+
+    async save(): Promise<void> {
+        this.prune();
+
+        const data: SerializedHistory = { version: HISTORY_FORMAT_VERSION, opens: {}, queries: {} };
+        this.opens.forEach((visit, path) => data.opens[path] = visit);
+        this.queries.forEach((paths, query) => {
+            const serialized: Record<string, Visit> = {};
+            paths.forEach((visit, path) => serialized[path] = visit);
+            data.queries[query] = serialized;
+        });
+
+        try {
+            await this.file.write(JSON.stringify(data));
+        } catch (error) {
+            console.error('❌ Failed to save open history:', error);
+        }
+    }
+
+    /** Write pending selections now (on unload) */
+    flush(): void {
+        this.cancelSave();
+        this.save();
+    }
+
+    /** Remember that `path` was chosen after searching for `query` */
+    record(query: string, path: string): void {
+        const now = Date.now();
+        this.bump(this.opens, path, now);
+
+        const key = this.normalize(query);
+        if (key) {
+            let paths = this.queries.get(key);
+            if (!paths) {
+                paths = new Map();
+                this.queries.set(key, paths);
+                this.sortedQueries = null;
+            }
+            this.bump(paths, path, now);
+        }
+
+        this.requestSave();
+    }
+
+    /**
+     * Ranking boost for `path` under `query`. Pairs chosen for exactly this query count fully,
+     * pairs chosen for a longer query that starts with it count half (while still typing).
+     */
+    getBoost(query: string, path: string): number {
+        const settings = this.host.settings;
+        if (!settings.enableHistoryRanking) return 0;
+
+        const now = Date.now();
+        const key = this.normalize(query);
+        let pairFrecency = 0;
+        if (key) {
+            const exact = this.queries.get(key)?.get(path);
+            if (exact) pairFrecency += this.frecency(exact, now);
+
+            this.queriesStartingWith(key).forEach(recorded => {
+                const visit = recorded !== key ? this.queries.get(recorded)?.get(path) : undefined;
+                if (visit) pairFrecency += this.frecency(visit, now) / 2;
+            });
+        }
+
+        const opens = this.opens.get(path);
+        const fileFrecency = opens ? this.frecency(opens, now) : 0;
+
+        return settings.queryHistoryWeight * Math.log2(1 + pairFrecency)
+            + settings.frecencyWeight * Math.log2(1 + fileFrecency);
+    }
+
+    /** Keep history attached to a renamed file */
+    renamePath(oldPath: string, newPath: string): void {
+        const move = (visits: Map<string, Visit>) => {
+            const visit = visits.get(oldPath);
+            if (visit) {
+                visits.delete(oldPath);
+                visits.set(newPath, visit);
+            }
+        };
+        move(this.opens);
+        this.queries.forEach(move);
+        this.requestSave();
+    }
+
+    removePath(path: string): void {
+        this.opens.delete(path);
+        this.queries.forEach(paths => paths.delete(path));
+        this.requestSave();
+    }
+
+    async reset(): Promise<void> {
+        this.opens.clear();
+        this.queries.clear();
+        this.sortedQueries = null;
+        this.cancelSave();
+        await this.save();
+    }
+
+    getQueryCount(): number {
+        return this.queries.size;
+    }
+
+    /** Save a few seconds after the last change, restarting the wait on every change */
+    private requestSave(): void {
+        this.cancelSave();
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, SAVE_DELAY_MS);
+    }
+
+    private cancelSave(): void {
+        if (this.saveTimer !== null) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+    }
+
+    private bump(visits: Map<string, Visit>, path: string, now: number): void {
+        const visit = visits.get(path);
+        if (visit) {
+            visit.count++;
+            visit.last = now;
+        } else {
+            visits.set(path, { count: 1, last: now });
+        }
+    }
+
+    /** Recorded queries that start with `prefix` (including `prefix` itself), by binary search */
+    private queriesStartingWith(prefix: string): string[] {
+        if (!this.sortedQueries) {
+            this.sortedQueries = Array.from(this.queries.keys()).sort();
+        }
+        const sorted = this.sortedQueries;
+
+        let low = 0;
+        let high = sorted.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (sorted[mid] < prefix) low = mid + 1;
+            else high = mid;
+        }
+
+        const found: string[] = [];
+        for (let i = low; i < sorted.length && sorted[i].startsWith(prefix); i++) {
+            found.push(sorted[i]);
+        }
+        return found;
+    }
+
+    private frecency(visit: Visit, now: number): number {
+        return visit.count * Math.pow(0.5, Math.max(0, now - visit.last) / HALF_LIFE_MS);
+    }
+
+    private normalize(query: string): string {
+        return query.trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    /** Drop the least valuable entries once the history outgrows its limits */
+    private prune(): void {
+        const now = Date.now();
+
+        this.sortedQueries = null;
+        this.queries.forEach((paths, query) => {
+            if (paths.size === 0) this.queries.delete(query);
+        });
+
+        if (this.queries.size > MAX_QUERIES) {
+            const best = (paths: Map<string, Visit>) =>
+                Math.max(...Array.from(paths.values()).map(visit => this.frecency(visit, now)));
+            Array.from(this.queries.entries())
+                .sort((a, b) => best(a[1]) - best(b[1]))
+                .slice(0, this.queries.size - MAX_QUERIES)
+                .forEach(([query]) => this.queries.delete(query));
+        }
+
+        if (this.opens.size > MAX_PATHS) {
+            Array.from(this.opens.entries())
+                .sort((a, b) => this.frecency(a[1], now) - this.frecency(b[1], now))
+                .slice(0, this.opens.size - MAX_PATHS)
+                .forEach(([path]) => this.opens.delete(path));
+        }
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * Search query syntax:
+ *   한글 ㅎㄱ          terms, all must match (초성/jamo matching applies to each)
+ *   -초안              exclude notes matching a term
+ *   -"exact phrase"    exclude notes whose title contains the whole phrase
+ *   "exact phrase"     phrase must appear as typed in a title, alias, heading or tag
+ *   path:일기 / folder:프로젝트/2024
+ *   tag:#태그          note has the tag (or a nested tag under it)
+ *   ext:pdf            file extension
+ *   modified:<7d       modified within the last 7 days (>30d: older than 30 days)
+ *   -tag:#초안         any filter with '-' excludes what it would match
+ */
+
+export type DateOperator = '<' | '>';
+
+export interface DateFilter {
+    operator: DateOperator;
+    ms: number;      // Age threshold in milliseconds
+    label: string;   // As typed, e.g. "<7d"
+    negated: boolean;
+}
+
+/** A path:, folder:, tag: or ext: value - negated filters exclude what they match */
+export interface FilterValue {
+    value: string;
+    negated: boolean;
+}
+
+export interface ParsedQuery {
+    raw: string;
+    terms: string[];
+    phrases: string[];
+    excluded: string[];
+    excludedPhrases: string[];
+    paths: FilterValue[];
+    folders: FilterValue[];
+    tags: FilterValue[];        // Lower-cased, without the leading '#'
+    extensions: FilterValue[];  // Lower-cased, without the leading '.'
+    modified: DateFilter[];
+}
+
+const UNIT_MS: Record<string, number> = {
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+    m: 30 * 24 * 60 * 60 * 1000,
+    y: 365 * 24 * 60 * 60 * 1000
+};
+
+/** Split on whitespace, keeping quoted parts (including `key:"quoted value"`) together */
+function tokenize(input: string): string[] {
+    const tokens: string[] = [];
+    const pattern = /(-?)(?:([a-zA-Z]+):)?"([^"]*)"?|(\S+)/g;
+    let match: RegExpExecArray | null;
+
+    while ((match = pattern.exec(input)) !== null) {
+        tokens.push(match[0]);
+    }
+    return tokens;
+}
+
+function unquote(value: string): string {
+    return value.replace(/^"/, '').replace(/"$/, '');
+}
+
+/** Parse "<7d", ">2w" or "3d" (same as "<3d") */
+function parseDateFilter(value: string, negated: boolean = false): DateFilter | null {
+    const match = value.match(/^([<>])?(\d+(?:\.\d+)?)([hdwmy])$/i);
+    if (!match) return null;
+
+    return {
+        operator: (match[1] as DateOperator) || '<',
+        ms: parseFloat(match[2]) * UNIT_MS[match[3].toLowerCase()],
+        label: value,
+        negated
+    };
+}
+
+/** Parse a search box query into terms, phrases, exclusions and filters */
+export function parseQuery(input: string): ParsedQuery {
+    const parsed: ParsedQuery = {
+        raw: input,
+        terms: [],
+        phrases: [],
+        excluded: [],
+        excludedPhrases: [],
+        paths: [],
+        folders: [],
+        tags: [],
+        extensions: [],
+        modified: []
+    };
+
+    for (const token of tokenize(input)) {
+        const negated = token.length > 1 && token.startsWith('-');
+        const body = negated ? token.substring(1) : token;
+
+        // "exact phrase"
+        if (body.startsWith('"')) {
+            const phrase = unquote(body).trim();
+            if (phrase) {
+                (negated ? parsed.excludedPhrases : parsed.phrases).push(phrase);
+            }
+            continue;
+        }
+
+        const filter = body.match(/^([a-zA-Z]+):(.+)$/);
+        if (filter) {
+            const key = filter[1].toLowerCase();
+            const value = unquote(filter[2]).trim();
+            let handled = true;
+
+            switch (key) {
+                case 'path':
+                    parsed.paths.push({ value: value.toLowerCase(), negated });
+                    break;
+                case 'folder':
+                    parsed.folders.push({ value: value.toLowerCase().replace(/^\/+|\/+$/g, ''), negated });
+                    break;
+                case 'tag':
+                    parsed.tags.push({ value: value.toLowerCase().replace(/^#/, ''), negated });
+                    break;
+                case 'ext':
+                    parsed.extensions.push({ value: value.toLowerCase().replace(/^\./, ''), negated });
+                    break;
+                case 'modified': {
+                    const dateFilter = parseDateFilter(value, negated);
+                    if (dateFilter) {
+                        parsed.modified.push(dateFilter);
+                    } else {
+                        handled = false;
+                    }
+                    break;
+                }
+                default:
+                    handled = false;
+            }
+            if (handled) continue;
+        }
+
+        (negated ? parsed.excluded : parsed.terms).push(body);
+    }
+
+    return parsed;
+}
+
+/** True if the query narrows results by anything other than plain terms */
+export function hasFilters(parsed: ParsedQuery): boolean {
+    return parsed.paths.length > 0
+        || parsed.folders.length > 0
+        || parsed.tags.length > 0
+        || parsed.extensions.length > 0
+        || parsed.modified.length > 0;
+}
+
+/** True if the query is plain text the original single-string search handles */
+export function isSimpleQuery(parsed: ParsedQuery): boolean {
+    return parsed.terms.length <= 1
+        && parsed.phrases.length === 0
+        && parsed.excluded.length === 0
+        && parsed.excludedPhrases.length === 0
+        && !hasFilters(parsed);
+}
+
+/** Text to highlight in results - terms and phrases without operators */
+export function highlightText(parsed: ParsedQuery): string {
+    return parsed.terms.concat(parsed.phrases).join(' ');
+}
+
+/** Human-readable list of active filters, e.g. ["tag:#일기", "modified:<7d", "-초안"] */
+export function describeFilters(parsed: ParsedQuery): string[] {
+    const describe = (key: string, filter: { negated: boolean }, value: string) =>
+        `${filter.negated ? '-' : ''}${key}:${value}`;
+    return [
+        ...parsed.phrases.map(phrase => `"${phrase}"`),
+        ...parsed.excluded.map(term => `-${term}`),
+        ...parsed.excludedPhrases.map(phrase => `-"${phrase}"`),
+        ...parsed.paths.map(path => describe('path', path, path.value)),
+        ...parsed.folders.map(folder => describe('folder', folder, folder.value)),
+        ...parsed.tags.map(tag => describe('tag', tag, `#${tag.value}`)),
+        ...parsed.extensions.map(ext => describe('ext', ext, ext.value)),
+        ...parsed.modified.map(filter => describe('modified', filter, filter.label))
+    ];
+}
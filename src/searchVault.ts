@@ -0,0 +1,76 @@
+import { App, TFile, getAllTags, parseFrontMatterAliases } from 'obsidian';
+
+/** The parts of a file the index reads - an Obsidian `TFile` satisfies it */
+export interface VaultFile {
+    path: string;
+    basename: string;
+    extension: string;
+    stat: { size: number; mtime: number };
+}
+
+/** A `^block-id` of a note and the lines it spans (0-based, inclusive) */
+export interface BlockMetadata {
+    id: string;  // Without the leading '^'
+    startLine: number;
+    endLine: number;
+}
+
+/** Aliases, headings, tags and blocks of a note, as parsed by the host */
+export interface FileMetadata {
+    aliases: string[];
+    headings: string[];
+    tags: string[];  // With the leading '#', e.g. "#프로젝트/하위"
+    blocks: BlockMetadata[];
+}
+
+/**
+ * Everything HangulIndex needs from the vault. Obsidian is wrapped by `createObsidianVault`;
+ * tests use an in-memory implementation so the index runs without Obsidian.
+ */
+export interface SearchVault {
+    getFiles(): VaultFile[];
+    getFile(path: string): VaultFile | null;
+    read(file: VaultFile): Promise<string>;
+    getMetadata(file: VaultFile): FileMetadata | null;
+}
+
+/** SearchVault backed by the Obsidian vault and metadata cache */
+export function createObsidianVault(app: App): SearchVault {
+    const resolve = (file: VaultFile): TFile | null => {
+        if (file instanceof TFile) return file;
+        const found = app.vault.getAbstractFileByPath(file.path);
+        return found instanceof TFile ? found : null;
+    };
+
+    return {
+        getFiles: () => app.vault.getFiles(),
+
+        getFile: (path) => {
+            const file = app.vault.getAbstractFileByPath(path);
+            return file instanceof TFile ? file : null;
+        },
+
+        read: async (file) => {
+            const resolved = resolve(file);
+            if (!resolved) throw new Error(`File not found: ${file.path}`);
+            return app.vault.cachedRead(resolved);
+        },
+
+        getMetadata: (file) => {
+            const resolved = resolve(file);
+            const cache = resolved ? app.metadataCache?.getFileCache(resolved) : null;
+            if (!cache) return null;
+
+            return {
+                aliases: (parseFrontMatterAliases(cache.frontmatter) || []).map(alias => String(alias)),
+                headings: (cache.headings || []).map(heading => heading.heading),
+                tags: getAllTags(cache) || [],
+                blocks: Object.values(cache.blocks || {}).map(block => ({
+                    id: block.id,
+                    startLine: block.position.start.line,
+                    endLine: block.position.end.line
+                }))
+            };
+        }
+    };
+}
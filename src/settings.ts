@@ -5,22 +5,30 @@ export interface HangulSearchSettings {
     fuzzyThreshold: number;       // 0 (strict) ↔ 1 (loose)
     overrideQuickSwitcher: boolean;
     indexContent: boolean;        // Whether to index file content
+    indexedExtensions: string[];  // Non-markdown extensions indexed by file name
     maxResults: number;           // Maximum search results to show
     showFileSize: boolean;        // Show file size in results
     showModifiedTime: boolean;    // Show modified time in results
     showScore: boolean;           // Show search score (debug)
     enableAutoIndex: boolean;     // Auto-rebuild index on file changes
+    enableHistoryRanking: boolean; // Rank by what was opened before
+    frecencyWeight: number;       // Boost for frequently/recently opened notes
+    queryHistoryWeight: number;   // Boost for notes chosen for the same query
 }
 
 export const DEFAULT_SETTINGS: HangulSearchSettings = {
     fuzzyThreshold: 0.4,
     overrideQuickSwitcher: true,
     indexContent: true,
+    indexedExtensions: ['canvas', 'pdf', 'png', 'jpg', 'jpeg', 'gif', 'webp', 'svg'],
     maxResults: 50,
     showFileSize: true,
     showModifiedTime: true,
     showScore: false,
     enableAutoIndex: true,
+    enableHistoryRanking: true,
+    frecencyWeight: 1,
+    queryHistoryWeight: 3,
 };
 
 export class HangulSearchSettingTab extends PluginSettingTab {
@@ -93,6 +101,69 @@ export class HangulSearchSettingTab extends PluginSettingTab {
                     new Notice('💡 Consider rebuilding the index after changing this setting', 5000);
                 }));
 
+        new Setting(containerEl)
+            .setName('Indexed file types')
+            .setDesc('Extensions searchable by file name besides notes, comma-separated. Text cards inside .canvas files are indexed as content. Rebuild the index to apply.')
+            .addText(text => text
+                .setPlaceholder('canvas, pdf, png, jpg')
+                .setValue(this.plugin.settings.indexedExtensions.join(', '))
+                .onChange(async (value) => {
+                    this.plugin.settings.indexedExtensions = value
+                        .split(',')
+                        .map(extension => extension.trim().toLowerCase().replace(/^\./, ''))
+                        .filter(extension => extension && extension !== 'md');
+                    await this.plugin.saveSettings();
+                }));
+
+        // Ranking Settings Section
+        containerEl.createEl('h2', { text: 'Ranking' });
+
+        new Setting(containerEl)
+            .setName('Learn from opened results')
+            .setDesc('Rank notes you open often, and notes you picked for the same query (e.g. "ㅎㄱ" → "한글학교"), higher')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.enableHistoryRanking)
+                .onChange(async (value) => {
+                    this.plugin.settings.enableHistoryRanking = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Query history weight')
+            .setDesc('Boost for notes previously chosen for the same query (0 = off)')
+            .addSlider(slider => slider
+                .setLimits(0, 10, 0.5)
+                .setValue(this.plugin.settings.queryHistoryWeight)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.queryHistoryWeight = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Frecency weight')
+            .setDesc('Boost for notes opened frequently and recently, whatever the query (0 = off)')
+            .addSlider(slider => slider
+                .setLimits(0, 5, 0.5)
+                .setValue(this.plugin.settings.frecencyWeight)
+                .setDynamicTooltip()
+                .onChange(async (value) => {
+                    this.plugin.settings.frecencyWeight = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('Reset search history')
+            .setDesc(`Forget which results were opened (${this.plugin.history.getQueryCount()} queries remembered)`)
+            .addButton(button => button
+                .setButtonText('Reset History')
+                .setClass('mod-warning')
+                .onClick(async () => {
+                    await this.plugin.history.reset();
+                    new Notice('🗑️ Search history reset', 2000);
+                    this.display();
+                }));
+
         // Interface Settings Section
         containerEl.createEl('h2', { text: 'Interface Settings' });
 
@@ -162,6 +233,10 @@ export class HangulSearchSettingTab extends PluginSettingTab {
             text: `📊 Currently indexed: ${this.plugin.index.getIndexedCount()} files`,
             cls: 'setting-item-name'
         });
+        indexStats.createDiv({
+            text: `📄 Content indexed: ${this.plugin.index.getContentIndexedCount()} files`,
+            cls: 'setting-item-description'
+        });
 
         new Setting(containerEl)
             .setName('Rebuild search index')
@@ -174,6 +249,7 @@ export class HangulSearchSettingTab extends PluginSettingTab {
                     button.setDisabled(true);
                     try {
                         await this.plugin.index.build();
+                        await this.plugin.saveIndex();
                         new Notice(`✅ Index rebuilt! (${this.plugin.index.getIndexedCount()} files)`, 3000);
                         // Update stats display
                         indexStats.querySelector('.setting-item-name')!.textContent = 
@@ -195,6 +271,7 @@ export class HangulSearchSettingTab extends PluginSettingTab {
                 .setClass('mod-warning')
                 .onClick(() => {
                     this.plugin.index.clear();
+                    this.plugin.indexStore.remove();
                     new Notice('🗑️ Index cleared', 2000);
                     // Update stats display
                     indexStats.querySelector('.setting-item-name')!.textContent = 
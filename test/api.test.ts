@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_VERSION, createSearchApi } from '../src/api';
+import { createTestIndex } from './memoryVault';
+import { FIXTURES } from './fixtures';
+
+describe('Public search API', () => {
+    // Built once and shared - these tests only read from the index
+    const built = createTestIndex(FIXTURES).then(({ index }) => ({
+        api: createSearchApi(index, Promise.resolve())
+    }));
+
+    it('reports its version and readiness', async () => {
+        const { api } = await built;
+        assert.equal(api.version, API_VERSION);
+        await api.isReady;
+    });
+
+    it('returns typed results with match ranges', async () => {
+        const { api } = await built;
+        const [first] = await api.search('ㅎㄱㅎㄱ');
+        assert.equal(first.path, '한글학교.md');
+        assert.equal(first.kind, 'file');
+        assert.equal(first.matchedIn, 'title');
+        assert.equal(first.strategy, 'initial-consonant');
+        assert.deepEqual(first.titleMatches, [[0, 4]]);
+    });
+
+    it('limits results', async () => {
+        const { api } = await built;
+        assert.equal((await api.search('ㅎㄱ', { limit: 2 })).length, 2);
+    });
+
+    it('restricts strategies', async () => {
+        const { api } = await built;
+        const results = await api.search('한ㄱ', { strategies: ['partial-syllable'] });
+        assert.ok(results.length > 0);
+        assert.ok(results.every(result => result.strategy === 'partial-syllable'));
+
+        assert.deepEqual(await api.search('토요일', { strategies: ['direct', 'initial-consonant'] }), []);
+    });
+
+    it('applies filters, with or without a query', async () => {
+        const { api } = await built;
+        const tagged = await api.search('ㅎㄱ', { filters: { tags: ['학교'] } });
+        assert.deepEqual(tagged.map(result => result.display).sort(), ['학교 숙제', '한글학교']);
+
+        const inFolder = await api.search('', { filters: { folders: ['일기'] } });
+        assert.deepEqual(inFolder.map(result => result.path), ['일기/2024-05-01.md']);
+
+        const recent = await api.search('ㅎㄱ', { filters: { modifiedWithin: 7 * 24 * 60 * 60 * 1000 } });
+        assert.ok(!recent.some(result => result.display === '항공권 예약'));
+
+        const headings = await api.search('입학', { filters: { kinds: ['heading'] } });
+        assert.deepEqual(headings.map(result => result.kind), ['heading']);
+    });
+
+    it('includes content snippets on request', async () => {
+        const { api } = await built;
+        const [withoutContent] = await api.search('토요일');
+        assert.equal(withoutContent.snippet, undefined);
+
+        const [withContent] = await api.search('토요일', { includeContent: true });
+        assert.ok(withContent.snippet);
+        assert.match(withContent.snippet.text, /토요일/);
+    });
+
+    it('returns copies that do not affect the index', async () => {
+        const { api } = await built;
+        const [first] = await api.search('ㅎㄱㅎㄱ');
+        (first.titleMatches as [number, number][]).push([9, 9]);
+        const [again] = await api.search('ㅎㄱㅎㄱ');
+        assert.deepEqual(again.titleMatches, [[0, 4]]);
+    });
+
+    it('emits index updates', async () => {
+        // Adds a file - use an index of its own so the shared one stays as built
+        const { index, vault } = await createTestIndex(FIXTURES);
+        const api = createSearchApi(index, Promise.resolve());
+        const updates: number[] = [];
+        const unsubscribe = api.onIndexUpdated(update => updates.push(update.indexedCount));
+
+        await index.addFile(vault.put({ path: '새 노트.md', content: '' }));
+        unsubscribe();
+
+        assert.ok(updates.length > 0);
+        assert.equal(updates[updates.length - 1], FIXTURES.length + 1);
+    });
+});
@@ -0,0 +1,52 @@
+import type { FixtureFile } from './memoryVault';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/** A small vault covering Korean and English titles, bodies, metadata, a canvas and an attachment */
+export const FIXTURES: FixtureFile[] = [
+    {
+        path: '한글학교.md',
+        content: '# 입학 안내\n한글학교 수업은 토요일에 열립니다. ^class-day\n- 준비물: 공책\n  연필 ^supplies\n#학교',
+        metadata: {
+            aliases: ['세종학당'],
+            headings: ['입학 안내'],
+            tags: ['#학교'],
+            blocks: [{ id: 'class-day', startLine: 1, endLine: 1 }, { id: 'supplies', startLine: 2, endLine: 3 }]
+        }
+    },
+    {
+        path: '한국어 문법.md',
+        content: '조사와 어미를 정리한 문법을 설명합니다.',
+        metadata: { tags: ['#공부/한국어'] }
+    },
+    {
+        path: '항공권 예약.md',
+        content: '비행기 일정 확인하기',
+        mtime: Date.now() - 60 * DAY
+    },
+    {
+        path: '학교 숙제.md',
+        content: '수학 숙제 마감은 금요일',
+        metadata: { tags: ['#학교'] }
+    },
+    {
+        path: '일기/2024-05-01.md',
+        content: '오늘은 한글 공부를 했다',
+        metadata: { tags: ['#일기'] }
+    },
+    {
+        path: 'hello world.md',
+        content: 'An English note'
+    },
+    {
+        path: '기획.canvas',
+        content: JSON.stringify({
+            nodes: [{ id: 'a', type: 'text', text: '프로젝트 기획 회의', x: 0, y: 0, width: 100, height: 100 }],
+            edges: []
+        })
+    },
+    {
+        path: '사진/한강.png',
+        content: ''
+    }
+];
@@ -0,0 +1,311 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { HangulIndex, IndexEntry } from '../src/hangulIndex';
+import type { VaultFile } from '../src/searchVault';
+import { createTestIndex, MemoryVault, TEST_SETTINGS } from './memoryVault';
+import { FIXTURES } from './fixtures';
+
+const titles = (results: IndexEntry[]) => results.map(entry => entry.display);
+const bodyMatches = (index: HangulIndex, query: string) =>
+    titles(index.search(query).filter(entry => entry.matchedIn === 'content'));
+
+describe('HangulIndex matching rules', () => {
+    // Built once and shared - these tests only read from the index
+    const built = createTestIndex(FIXTURES);
+
+    describe('초성', () => {
+        it('matches titles by initial consonants', async () => {
+            const { index } = await built;
+            const results = index.search('ㅎㄱ');
+            assert.ok(titles(results).includes('한글학교'));
+            assert.ok(titles(results).includes('한국어 문법'));
+            assert.ok(titles(results).includes('학교 숙제'));
+        });
+
+        it('ranks the full 초성 sequence first', async () => {
+            const { index } = await built;
+            const [first] = index.search('ㅎㄱㅎㄱ');
+            assert.equal(first.display, '한글학교');
+            assert.equal(first.strategy, 'initial-consonant');
+            assert.deepEqual(first.titleMatches, [[0, 4]]);
+        });
+
+        it('matches 초성 in the middle of a title', async () => {
+            const { index } = await built;
+            const results = index.search('ㅁㅂ');
+            assert.deepEqual(titles(results), ['한국어 문법']);
+            assert.deepEqual(results[0].titleMatches, [[4, 6]]);
+        });
+    });
+
+    describe('부분 음절', () => {
+        it('matches a syllable followed by an initial consonant', async () => {
+            const { index } = await built;
+            const results = index.search('한ㄱ');
+            const partial = results.filter(entry => entry.strategy === 'partial-syllable');
+            assert.deepEqual(titles(partial).sort(), ['한강', '한국어 문법', '한글학교']);
+        });
+
+        it('treats the last character as an unfinished syllable', async () => {
+            const { index } = await built;
+            assert.equal(index.search('한그')[0].display, '한글학교');
+            assert.deepEqual(index.findMatchRanges('한글학교', '한그'), [[0, 2]]);
+        });
+
+        it('only matches an unfinished syllable from its start', async () => {
+            const { index } = await built;
+            assert.deepEqual(index.findMatchRanges('한글', '한ㄹ'), []);
+            assert.deepEqual(index.findMatchRanges('사랑해', 'ㅇ'), []);
+            assert.deepEqual(index.findMatchRanges('사랑해', 'ㅏ'), []);
+            assert.deepEqual(index.findMatchRanges('사랑해', '라'), [[1, 2]]);
+        });
+    });
+
+    describe('혼합', () => {
+        it('matches 초성 mixed with full syllables', async () => {
+            const { index } = await built;
+            const [first] = index.search('ㅎㄱㅎ교');
+            assert.equal(first.display, '한글학교');
+            assert.deepEqual(first.titleMatches, [[0, 4]]);
+        });
+
+        it('finds mixed patterns anywhere in the text', async () => {
+            const { index } = await built;
+            assert.deepEqual(index.findMatchRanges('한글학교', 'ㄱㅎ교'), [[1, 4]]);
+            assert.deepEqual(index.findMatchRanges('한국어 문법', '문ㅂ'), [[4, 6]]);
+        });
+    });
+
+    describe('content', () => {
+        it('finds words in note bodies', async () => {
+            const { index } = await built;
+            const results = index.search('토요일');
+            assert.deepEqual(titles(results), ['한글학교']);
+            assert.equal(results[0].matchedIn, 'content');
+        });
+
+        it('matches whole syllables in bodies, not jamo across syllables', async () => {
+            const { index } = await createTestIndex([...FIXTURES, { path: '숫자.md', content: '하나 둘 셋, 가요' }]);
+            assert.ok(!bodyMatches(index, '한').includes('숫자'));
+            assert.ok(!bodyMatches(index, '강').includes('숫자'));
+            assert.ok(titles(index.search('숫자 -한')).includes('숫자'));
+            assert.deepEqual(bodyMatches(index, '둘'), ['숫자']);
+            assert.ok(await index.getContentSnippet('숫자.md', '둘'));
+            assert.deepEqual(bodyMatches(index, '가ㅇ'), ['숫자']);
+            assert.ok(bodyMatches(index, '하ㄴ').includes('숫자'));
+        });
+
+        it('finds words by any part and forgets removed words', async () => {
+            const { index } = await built;
+            assert.deepEqual(bodyMatches(index, '법을'), ['한국어 문법']);
+            assert.deepEqual(bodyMatches(index, 'ㅈㄹ'), ['한국어 문법']);
+            assert.deepEqual(bodyMatches(index, '법문'), []);
+
+            const { index: fresh, vault } = await createTestIndex(FIXTURES);
+            await fresh.updateFile(vault.put({ path: '한국어 문법.md', content: '품사 정리' }));
+            assert.deepEqual(bodyMatches(fresh, '법을'), []);
+            assert.deepEqual(bodyMatches(fresh, '품사'), ['한국어 문법']);
+        });
+
+        it('searches canvas text cards', async () => {
+            const { index } = await built;
+            assert.deepEqual(titles(index.search('프로젝트')), ['기획']);
+        });
+
+        it('returns a highlighted snippet', async () => {
+            const { index } = await built;
+            const snippet = await index.getContentSnippet('한글학교.md', '토요일');
+            assert.ok(snippet);
+            assert.equal(snippet.line, 1);
+            const [start, end] = snippet.matches[0];
+            assert.equal(snippet.text.substring(start, end), '토요일');
+        });
+    });
+
+    describe('keyboard layout', () => {
+        it('converts queries typed in English mode', async () => {
+            const { index } = await built;
+            const [first] = index.search('gksrmf');
+            assert.equal(first.display, '한글학교');
+            assert.equal(first.interpretedAs, '한글');
+            assert.equal(first.strategy, 'keyboard-layout');
+        });
+
+        it('converts queries typed in Korean mode', async () => {
+            const { index } = await built;
+            const [first] = index.search('ㅗ디ㅣㅐ');
+            assert.equal(first.display, 'hello world');
+            assert.equal(first.interpretedAs, 'hello');
+        });
+
+        it('skips single keystrokes and 초성 queries', async () => {
+            const { index } = await built;
+            ['a', 'ㅎ', 'ㅎㄱ'].forEach(query => {
+                assert.ok(index.search(query).every(entry => !entry.interpretedAs), query);
+            });
+        });
+
+        it('converts English words typed with vowel keys only', async () => {
+            const { index } = await createTestIndex([...FIXTURES, { path: 'ok google.md' }, { path: 'hi there.md' }]);
+            assert.equal(index.search('ㅐㅏ')[0].display, 'ok google');
+            assert.equal(index.search('ㅗㅑ')[0].interpretedAs, 'hi');
+        });
+
+        it('ranks converted body matches below real ones', async () => {
+            const { index } = await built;
+            const converted = index.search('gksrmf').filter(entry => entry.matchedIn === 'content');
+            assert.deepEqual(titles(converted), ['2024-05-01']);
+            const real = index.search('한글').find(entry => entry.matchedIn === 'content')!;
+            assert.ok(converted[0].score < real.score);
+        });
+    });
+
+    describe('metadata targets', () => {
+        it('finds aliases and headings', async () => {
+            const { index } = await built;
+            assert.equal(index.search('세종')[0].kind, 'alias');
+            assert.equal(index.search('입학')[0].kind, 'heading');
+            assert.deepEqual(titles(index.searchHeadings('한글학교.md', 'ㅇㅎ')), ['입학 안내']);
+        });
+
+        it('searches blocks of a note by text or id', async () => {
+            const { index } = await built;
+            const all = await index.searchBlocks('한글학교.md', '');
+            assert.deepEqual(all.map(block => block.blockId), ['class-day', 'supplies']);
+            assert.equal(all[0].display, '한글학교 수업은 토요일에 열립니다.');
+            assert.equal(all[1].display, '- 준비물: 공책 연필');
+
+            const [byText] = await index.searchBlocks('한글학교.md', 'ㅌㅇㅇ');
+            assert.equal(byText.blockId, 'class-day');
+            assert.equal(byText.kind, 'block');
+            assert.deepEqual(byText.titleMatches, [[9, 12]]);
+
+            assert.deepEqual((await index.searchBlocks('한글학교.md', 'supp')).map(block => block.blockId), ['supplies']);
+            assert.deepEqual(await index.searchBlocks('학교 숙제.md', ''), []);
+        });
+    });
+
+    describe('query syntax', () => {
+        it('excludes terms', async () => {
+            const { index } = await built;
+            const results = titles(index.search('ㅎㄱ -숙제'));
+            assert.ok(results.includes('한글학교'));
+            assert.ok(!results.includes('학교 숙제'));
+        });
+
+        it('excludes a phrase only when the whole phrase matches', async () => {
+            const { index } = await built;
+            const results = titles(index.search('ㅎㄱ -"한글 수학"'));
+            assert.ok(results.includes('한글학교'));
+            assert.ok(results.includes('학교 숙제'));
+
+            assert.ok(!titles(index.search('ㅎㄱ -"교 숙"')).includes('학교 숙제'));
+        });
+
+        it('matches phrases as typed, not as scattered words', async () => {
+            const { index } = await createTestIndex([...FIXTURES, { path: '메모.md', content: '공부를 했다. 나중에 한글' }]);
+            assert.deepEqual(titles(index.search('"한국어 문법"')), ['한국어 문법']);
+            assert.deepEqual(titles(index.search('"문법 한국어"')), []);
+            assert.ok(!titles(index.search('"한글 공부"')).includes('메모'));
+            assert.ok(titles(index.search('ㅁㅁ -"한글 공부"')).includes('메모'));
+        });
+
+        it('filters by tag', async () => {
+            const { index } = await built;
+            assert.deepEqual(titles(index.search('tag:#학교')).sort(), ['학교 숙제', '한글학교']);
+            assert.deepEqual(titles(index.search('tag:#공부')), ['한국어 문법']);
+        });
+
+        it('excludes by negated filters', async () => {
+            const { index } = await built;
+            assert.ok(titles(index.search('ㅎㄱ')).includes('2024-05-01'));
+            assert.ok(!titles(index.search('ㅎㄱ -tag:#일기')).includes('2024-05-01'));
+            assert.ok(!titles(index.search('ㅎㄱ -folder:일기')).includes('2024-05-01'));
+            assert.deepEqual(titles(index.search('tag:#학교 -ext:md')), []);
+        });
+
+        it('filters by folder and extension', async () => {
+            const { index } = await built;
+            assert.deepEqual(titles(index.search('folder:일기')), ['2024-05-01']);
+            assert.deepEqual(titles(index.search('ext:png')), ['한강']);
+        });
+    });
+});
+
+describe('HangulIndex ranking history', () => {
+    it('boosts only the top candidates, then re-sorts them', async () => {
+        const boosted: string[] = [];
+        const { index } = await createTestIndex(FIXTURES, {
+            history: {
+                getBoost: (query, path) => {
+                    boosted.push(path);
+                    return path === '학교 숙제.md' ? 10 : 0;
+                },
+                record: () => undefined
+            }
+        });
+
+        const results = index.search('ㅎㄱ', 2);
+        assert.equal(results[0].path, '학교 숙제.md');
+        assert.ok(boosted.length <= 4);
+    });
+});
+
+describe('HangulIndex updates', () => {
+    it('indexes added files and forgets removed ones', async () => {
+        const { index, vault } = await createTestIndex(FIXTURES);
+
+        const file = vault.put({ path: '한라산.md', content: '등산 계획' });
+        await index.addFile(file);
+        assert.equal(index.search('ㅎㄹㅅ')[0].display, '한라산');
+        assert.deepEqual(titles(index.search('등산')), ['한라산']);
+
+        index.removeFile(file);
+        vault.delete(file.path);
+        assert.deepEqual(titles(index.search('ㅎㄹㅅ')), []);
+        assert.deepEqual(titles(index.search('등산')), []);
+    });
+
+    it('notifies listeners until unsubscribed', async () => {
+        const { index, vault } = await createTestIndex(FIXTURES);
+        const counts: number[] = [];
+        const unsubscribe = index.onUpdated(update => counts.push(update.indexedCount));
+
+        await index.addFile(vault.put({ path: '새 노트.md', content: '' }));
+        assert.ok(counts.length > 0);
+        assert.equal(counts[counts.length - 1], FIXTURES.length + 1);
+
+        unsubscribe();
+        const seen = counts.length;
+        index.removeFile({ path: '새 노트.md' } as VaultFile);
+        assert.equal(counts.length, seen);
+    });
+
+    it('rebuilds metadata targets only when they change', async () => {
+        const { index, vault } = await createTestIndex(FIXTURES);
+        const file = vault.getFile('한글학교.md')!;
+        assert.equal(index.updateMetadataTargets(file), false);
+
+        vault.put({ ...FIXTURES[0], metadata: { ...FIXTURES[0].metadata, headings: ['입학 안내', '수업 시간'] } });
+        assert.equal(index.updateMetadataTargets(vault.getFile('한글학교.md')!), true);
+        assert.deepEqual(titles(index.searchHeadings('한글학교.md', 'ㅅㅇ')), ['수업 시간']);
+    });
+
+    it('refreshes cached snippets when a note changes', async () => {
+        const { index, vault } = await createTestIndex(FIXTURES);
+        assert.match((await index.getContentSnippet('학교 숙제.md', '숙제'))!.text, /수학 숙제/);
+
+        vault.put({ path: '학교 숙제.md', content: '영어 숙제 제출', mtime: Date.now() + 1000 });
+        assert.match((await index.getContentSnippet('학교 숙제.md', '숙제'))!.text, /영어 숙제/);
+    });
+
+    it('restores a serialized index', async () => {
+        const { index } = await createTestIndex(FIXTURES);
+        const restored = new HangulIndex(new MemoryVault(FIXTURES), { settings: TEST_SETTINGS });
+
+        assert.ok(restored.restore(index.serialize()));
+        assert.equal(restored.getIndexedCount(), index.getIndexedCount());
+        assert.deepEqual(titles(restored.search('ㅎㄱㅎㄱ')), titles(index.search('ㅎㄱㅎㄱ')));
+        assert.deepEqual(titles(restored.search('토요일')), ['한글학교']);
+    });
+});
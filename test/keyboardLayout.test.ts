@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { hangulToLatin, isHangulKeystrokes, isLatinKeystrokes, latinToHangul } from '../src/keyboardLayout';
+
+describe('latinToHangul', () => {
+    it('composes syllables', () => {
+        assert.equal(latinToHangul('gksrmf'), '한글');
+        assert.equal(latinToHangul('gksrmf tjfwjd'), '한글 설정');
+    });
+
+    it('uses Shift for double consonants and ㅒ/ㅖ', () => {
+        assert.equal(latinToHangul('Rk'), '까');
+        assert.equal(latinToHangul('Qkf'), '빨');
+        assert.equal(latinToHangul('dP'), '예');
+    });
+
+    it('composes compound vowels and finals', () => {
+        assert.equal(latinToHangul('ghk'), '화');
+        assert.equal(latinToHangul('dnjs'), '원');
+        assert.equal(latinToHangul('dlfr'), '읽');
+        assert.equal(latinToHangul('rkqt'), '값');
+    });
+
+    it('treats Shift without a double form and caps lock as lower case', () => {
+        assert.equal(latinToHangul('Gksrmf'), '한글');
+        assert.equal(latinToHangul('GKSRMF'), '한글');
+    });
+});
+
+describe('hangulToLatin', () => {
+    it('recovers the keys pressed in Korean mode', () => {
+        assert.equal(hangulToLatin('ㅗ디ㅣㅐ'), 'hello');
+        assert.equal(hangulToLatin('까'), 'Rk');
+        assert.equal(hangulToLatin('한글'), 'gksrmf');
+    });
+});
+
+describe('keystroke detection', () => {
+    it('recognizes Latin and Hangul keystrokes', () => {
+        assert.ok(isLatinKeystrokes('gksrmf'));
+        assert.ok(!isLatinKeystrokes('한글'));
+        assert.ok(!isLatinKeystrokes('  '));
+        assert.ok(isHangulKeystrokes('ㅗ디ㅣㅐ'));
+        assert.ok(!isHangulKeystrokes('hello'));
+    });
+});
@@ -0,0 +1,83 @@
+import { HangulIndex, IndexHost, IndexSettings } from '../src/hangulIndex';
+import type { FileMetadata, SearchVault, VaultFile } from '../src/searchVault';
+
+/** A file for the in-memory vault. Metadata stands in for Obsidian's metadata cache. */
+export interface FixtureFile {
+    path: string;
+    content?: string;
+    metadata?: Partial<FileMetadata>;
+    mtime?: number;
+}
+
+interface StoredFile {
+    file: VaultFile;
+    content: string;
+    metadata: FileMetadata | null;
+}
+
+/** SearchVault over plain objects, so HangulIndex runs without Obsidian */
+export class MemoryVault implements SearchVault {
+    private files: Map<string, StoredFile> = new Map();
+
+    constructor(fixtures: FixtureFile[] = []) {
+        fixtures.forEach(fixture => this.put(fixture));
+    }
+
+    /** Add or replace a file, returning what the index sees */
+    put(fixture: FixtureFile): VaultFile {
+        const name = fixture.path.substring(fixture.path.lastIndexOf('/') + 1);
+        const dot = name.lastIndexOf('.');
+        const content = fixture.content || '';
+        const file: VaultFile = {
+            path: fixture.path,
+            basename: dot > 0 ? name.substring(0, dot) : name,
+            extension: dot > 0 ? name.substring(dot + 1) : '',
+            stat: { size: content.length, mtime: fixture.mtime ?? Date.now() }
+        };
+        const metadata = fixture.metadata ? {
+            aliases: fixture.metadata.aliases || [],
+            headings: fixture.metadata.headings || [],
+            tags: fixture.metadata.tags || [],
+            blocks: fixture.metadata.blocks || []
+        } : null;
+
+        this.files.set(file.path, { file, content, metadata });
+        return file;
+    }
+
+    delete(path: string): void {
+        this.files.delete(path);
+    }
+
+    getFiles(): VaultFile[] {
+        return Array.from(this.files.values()).map(stored => stored.file);
+    }
+
+    getFile(path: string): VaultFile | null {
+        return this.files.get(path)?.file || null;
+    }
+
+    async read(file: VaultFile): Promise<string> {
+        const stored = this.files.get(file.path);
+        if (!stored) throw new Error(`File not found: ${file.path}`);
+        return stored.content;
+    }
+
+    getMetadata(file: VaultFile): FileMetadata | null {
+        return this.files.get(file.path)?.metadata || null;
+    }
+}
+
+export const TEST_SETTINGS: IndexSettings = {
+    indexContent: true,
+    fuzzyThreshold: 0.4,
+    indexedExtensions: ['canvas', 'png']
+};
+
+/** Build an index over `fixtures` with TEST_SETTINGS */
+export async function createTestIndex(fixtures: FixtureFile[], host: IndexHost = {}): Promise<{ index: HangulIndex; vault: MemoryVault }> {
+    const vault = new MemoryVault(fixtures);
+    const index = new HangulIndex(vault, { settings: TEST_SETTINGS, ...host });
+    await index.build();
+    return { index, vault };
+}
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { HistoryHost, OpenHistory } from '../src/openHistory';
+import type { DataFile } from '../src/indexStore';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const SETTINGS: HistoryHost['settings'] = { enableHistoryRanking: true, frecencyWeight: 1, queryHistoryWeight: 3 };
+
+/** DataFile kept in memory; `contents` is what was last written */
+function memoryFile(initial: object | null = null): DataFile & { contents: string | null } {
+    const file = {
+        contents: initial ? JSON.stringify(initial) : null as string | null,
+        read: async () => file.contents,
+        write: async (data: string) => {
+            file.contents = data;
+        },
+        remove: async () => {
+            file.contents = null;
+        }
+    };
+    return file;
+}
+
+const visit = (count: number, age: number) => ({ count, last: Date.now() - age });
+
+describe('OpenHistory', () => {
+    it('boosts exact queries fully and longer recorded queries by half', () => {
+        const history = new OpenHistory(memoryFile(), { settings: SETTINGS });
+        history.record('한글', 'a.md');
+        history.record('한글학교', 'b.md');
+        history.flush();
+
+        // queryHistoryWeight · log2(1 + pair) + frecencyWeight · log2(1 + file)
+        assert.ok(Math.abs(history.getBoost(' 한글 ', 'a.md') - 4) < 1e-6);
+        assert.ok(Math.abs(history.getBoost('한글', 'b.md') - (3 * Math.log2(1.5) + 1)) < 1e-6);
+        assert.ok(Math.abs(history.getBoost('한글학교', 'a.md') - 1) < 1e-6);
+        assert.equal(history.getBoost('한글', 'c.md'), 0);
+    });
+
+    it('halves the weight of a visit every two weeks', async () => {
+        const history = new OpenHistory(memoryFile({
+            version: 1,
+            opens: { 'old.md': visit(2, 14 * DAY), 'new.md': visit(1, 0), 'older.md': visit(2, 28 * DAY) },
+            queries: {}
+        }), { settings: SETTINGS });
+        await history.load();
+
+        assert.ok(Math.abs(history.getBoost('', 'old.md') - history.getBoost('', 'new.md')) < 1e-6);
+        assert.ok(history.getBoost('', 'older.md') < history.getBoost('', 'new.md'));
+    });
+
+    it('gives no boost when history ranking is off', () => {
+        const history = new OpenHistory(memoryFile(), { settings: { ...SETTINGS, enableHistoryRanking: false } });
+        history.record('한글', 'a.md');
+        history.flush();
+        assert.equal(history.getBoost('한글', 'a.md'), 0);
+    });
+
+    it('follows renamed files and forgets removed ones', () => {
+        const history = new OpenHistory(memoryFile(), { settings: SETTINGS });
+        history.record('한글', 'a.md');
+        history.renamePath('a.md', 'b.md');
+        assert.equal(history.getBoost('한글', 'a.md'), 0);
+        assert.ok(history.getBoost('한글', 'b.md') > 0);
+
+        history.removePath('b.md');
+        history.flush();
+        assert.equal(history.getBoost('한글', 'b.md'), 0);
+        assert.equal(history.getQueryCount(), 0);
+    });
+
+    it('prunes the least used queries when saving', async () => {
+        const queries: Record<string, Record<string, { count: number; last: number }>> = {};
+        for (let i = 0; i < 2000; i++) {
+            queries[`q${i}`] = { 'a.md': visit(1, 0) };
+        }
+        queries.stale = { 'a.md': visit(1, 365 * DAY) };
+
+        const file = memoryFile({ version: 1, opens: {}, queries });
+        const history = new OpenHistory(file, { settings: SETTINGS });
+        await history.load();
+        assert.equal(history.getQueryCount(), 2001);
+
+        await history.save();
+        const saved = JSON.parse(file.contents!);
+        assert.equal(Object.keys(saved.queries).length, 2000);
+        assert.ok(!('stale' in saved.queries));
+    });
+});
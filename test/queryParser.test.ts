@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeFilters, hasFilters, isSimpleQuery, parseQuery } from '../src/queryParser';
+
+describe('parseQuery', () => {
+    it('separates phrases from excluded phrases', () => {
+        const parsed = parseQuery('한글 "한국어 문법" -"수학 숙제" -초안');
+        assert.deepEqual(parsed.terms, ['한글']);
+        assert.deepEqual(parsed.phrases, ['한국어 문법']);
+        assert.deepEqual(parsed.excludedPhrases, ['수학 숙제']);
+        assert.deepEqual(parsed.excluded, ['초안']);
+        assert.ok(!isSimpleQuery(parsed));
+        assert.deepEqual(describeFilters(parsed), ['"한국어 문법"', '-초안', '-"수학 숙제"']);
+    });
+
+    it('parses negated filters as filters, not excluded terms', () => {
+        const parsed = parseQuery('ㅎㄱ -tag:#일기 -folder:보관/ -ext:.PNG -modified:<7d tag:학교');
+        assert.deepEqual(parsed.excluded, []);
+        assert.deepEqual(parsed.tags, [{ value: '일기', negated: true }, { value: '학교', negated: false }]);
+        assert.deepEqual(parsed.folders, [{ value: '보관', negated: true }]);
+        assert.deepEqual(parsed.extensions, [{ value: 'png', negated: true }]);
+        assert.equal(parsed.modified[0].negated, true);
+        assert.deepEqual(describeFilters(parsed), ['-folder:보관', '-tag:#일기', 'tag:#학교', '-ext:png', '-modified:<7d']);
+    });
+
+    it('keeps quoted phrases and quoted filter values together', () => {
+        const parsed = parseQuery('folder:"내 문서/일기" "한국어 문법" 단어 "닫히지 않은');
+        assert.deepEqual(parsed.folders, [{ value: '내 문서/일기', negated: false }]);
+        assert.deepEqual(parsed.phrases, ['한국어 문법', '닫히지 않은']);
+        assert.deepEqual(parsed.terms, ['단어']);
+    });
+
+    it('keeps unknown keys and a lone "-" as terms', () => {
+        const parsed = parseQuery('https://example.com - 제목:한글');
+        assert.deepEqual(parsed.terms, ['https://example.com', '-', '제목:한글']);
+        assert.deepEqual(parsed.excluded, []);
+        assert.ok(!hasFilters(parsed));
+    });
+
+    it('parses modified: units, defaulting to "<"', () => {
+        const HOUR = 60 * 60 * 1000;
+        const DAY = 24 * HOUR;
+        const parsed = parseQuery('modified:2h modified:>3d modified:<1w modified:1.5m modified:1Y');
+        assert.deepEqual(parsed.modified.map(filter => [filter.operator, filter.ms]), [
+            ['<', 2 * HOUR],
+            ['>', 3 * DAY],
+            ['<', 7 * DAY],
+            ['<', 45 * DAY],
+            ['<', 365 * DAY]
+        ]);
+    });
+
+    it('keeps invalid modified: values as terms', () => {
+        const parsed = parseQuery('modified:7x modified:어제');
+        assert.deepEqual(parsed.modified, []);
+        assert.deepEqual(parsed.terms, ['modified:7x', 'modified:어제']);
+    });
+});
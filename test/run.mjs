@@ -0,0 +1,37 @@
+import esbuild from "esbuild";
+import fs from "fs";
+import path from "path";
+import process from "process";
+import { spawnSync } from "child_process";
+
+// Bundle each test/*.test.ts for Node and run them with the built-in test runner.
+// HangulIndex only talks to Obsidian through SearchVault, so no Obsidian runtime is needed.
+const testDir = path.dirname(new URL(import.meta.url).pathname);
+const outDir = path.join(testDir, "..", "dist", "test");
+
+const entryPoints = fs.readdirSync(testDir)
+	.filter((name) => name.endsWith(".test.ts"))
+	.map((name) => path.join(testDir, name));
+
+fs.rmSync(outDir, { recursive: true, force: true });
+
+await esbuild.build({
+	entryPoints,
+	bundle: true,
+	platform: "node",
+	format: "cjs",
+	target: "node16",
+	outdir: outDir,
+	outExtension: { ".js": ".cjs" },
+	// The index logs every step - keep test output readable
+	pure: ["console.log"],
+	minifySyntax: true,
+	logLevel: "warning",
+});
+
+const files = fs.readdirSync(outDir)
+	.filter((name) => name.endsWith(".test.cjs"))
+	.map((name) => path.join(outDir, name));
+
+const result = spawnSync(process.execPath, ["--test", ...files], { stdio: "inherit" });
+process.exit(result.status ?? 1);